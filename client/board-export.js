@@ -0,0 +1,263 @@
+/**
+ * Board Export - Renders a room's strokes to SVG and serializes its history to JSON
+ * Shared by the browser (window.BoardExport) and the server (require) so both produce the same files
+ */
+
+(function(root) {
+    const StrokeSmoothing = typeof module !== 'undefined' && module.exports
+        ? require('./stroke-smoothing')
+        : root.StrokeSmoothing;
+    
+    // Blank space (px) around the drawing in exported images
+    const EXPORT_PADDING = 20;
+    
+    // Size of an export with nothing in it
+    const EMPTY_BOARD = { x: 0, y: 0, width: 800, height: 600 };
+    
+    // Version of the JSON export format
+    const JSON_EXPORT_VERSION = 1;
+    
+    // Must match canvas.js
+    const TEXT_LINE_HEIGHT = 1.2;
+    const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+    const DEFAULT_LAYER_ID = 'layer_default';
+    
+    /**
+     * Escape a value for use in XML text or attributes
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+    
+    /**
+     * Round a coordinate to keep files small
+     */
+    function num(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    /**
+     * Estimate the width of a line of text when no text measurement is available
+     */
+    function estimateTextWidth(text, stroke) {
+        return text.length * stroke.fontSize * 0.6;
+    }
+    
+    /**
+     * Get the visible strokes of a board, grouped by layer, bottom layer first
+     */
+    function groupByLayer(strokes, layers) {
+        const groups = layers.map(layer => ({ layer, strokes: [] }));
+        
+        for (const stroke of strokes) {
+            const layerId = stroke.layerId || DEFAULT_LAYER_ID;
+            const group = groups.find(g => g.layer.id === layerId) || groups[0];
+            if (group) group.strokes.push(stroke);
+        }
+        
+        return groups.filter(g => g.layer.visible !== false);
+    }
+    
+    /**
+     * Get the box around a stroke, including its line width
+     */
+    function getStrokeBounds(stroke, measureText = estimateTextWidth) {
+        if (stroke.tool === 'text') {
+            const lines = String(stroke.text).split('\n');
+            const { x, y } = stroke.points[0];
+            return {
+                x,
+                y,
+                width: Math.max(...lines.map(line => measureText(line, stroke))),
+                height: lines.length * stroke.fontSize * TEXT_LINE_HEIGHT
+            };
+        }
+        
+        const xs = stroke.points.map(p => p.x);
+        const ys = stroke.points.map(p => p.y);
+        const pad = StrokeSmoothing.getMaxWidth(stroke) / 2;
+        
+        return {
+            x: Math.min(...xs) - pad,
+            y: Math.min(...ys) - pad,
+            width: Math.max(...xs) - Math.min(...xs) + pad * 2,
+            height: Math.max(...ys) - Math.min(...ys) + pad * 2
+        };
+    }
+    
+    /**
+     * Get the area covering every visible stroke, plus padding
+     */
+    function getBoardBounds(strokes, layers, measureText) {
+        const visible = groupByLayer(strokes, layers)
+            .flatMap(g => g.strokes)
+            .filter(s => s.points && s.points.length > 0);
+        if (visible.length === 0) return { ...EMPTY_BOARD };
+        
+        const boxes = visible.map(s => getStrokeBounds(s, measureText));
+        const minX = Math.min(...boxes.map(b => b.x)) - EXPORT_PADDING;
+        const minY = Math.min(...boxes.map(b => b.y)) - EXPORT_PADDING;
+        
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...boxes.map(b => b.x + b.width)) + EXPORT_PADDING - minX,
+            height: Math.max(...boxes.map(b => b.y + b.height)) + EXPORT_PADDING - minY
+        };
+    }
+    
+    /**
+     * Build the SVG path data for a freehand stroke or shape
+     */
+    function getPathData(stroke) {
+        const points = stroke.points;
+        
+        // Freehand strokes are smoothed the same way as on the canvas
+        if (!SHAPE_TOOLS.includes(stroke.tool)) {
+            return StrokeSmoothing.getSmoothPathData(points, num);
+        }
+        
+        const [start, end] = points;
+        switch (stroke.tool) {
+            case 'rectangle':
+                return `M${num(start.x)} ${num(start.y)} H${num(end.x)} V${num(end.y)} H${num(start.x)} Z`;
+            case 'ellipse': {
+                const rx = num(Math.abs(end.x - start.x) / 2);
+                const ry = num(Math.abs(end.y - start.y) / 2);
+                const cy = num((start.y + end.y) / 2);
+                const left = num(Math.min(start.x, end.x));
+                const right = num(Math.max(start.x, end.x));
+                return `M${left} ${cy} A${rx} ${ry} 0 1 0 ${right} ${cy} A${rx} ${ry} 0 1 0 ${left} ${cy} Z`;
+            }
+            case 'arrow': {
+                // Same head geometry as CanvasManager.drawShape
+                const angle = Math.atan2(end.y - start.y, end.x - start.x);
+                const headLength = Math.max(12, stroke.width * 4);
+                const head = (offset) => {
+                    const x = end.x - headLength * Math.cos(angle + offset);
+                    const y = end.y - headLength * Math.sin(angle + offset);
+                    return `${num(x)} ${num(y)}`;
+                };
+                return `M${num(start.x)} ${num(start.y)} L${num(end.x)} ${num(end.y)} ` +
+                    `M${head(-Math.PI / 6)} L${num(end.x)} ${num(end.y)} L${head(Math.PI / 6)}`;
+            }
+            default:
+                return `M${num(start.x)} ${num(start.y)} L${num(end.x)} ${num(end.y)}`;
+        }
+    }
+    
+    /**
+     * Render one stroke as an SVG element; color is overridden for eraser masks
+     */
+    function strokeToSvg(stroke, color = stroke.color) {
+        if (stroke.tool === 'text') {
+            const { x, y } = stroke.points[0];
+            const lineHeight = stroke.fontSize * TEXT_LINE_HEIGHT;
+            const lines = String(stroke.text).split('\n').map((line, i) =>
+                `<tspan x="${num(x)}" y="${num(y + i * lineHeight)}">${escapeXml(line)}</tspan>`);
+            
+            return `<text font-family="${escapeXml(stroke.font)}" font-size="${num(stroke.fontSize)}" ` +
+                `fill="${escapeXml(color)}" dominant-baseline="text-before-edge" xml:space="preserve">${lines.join('')}</text>`;
+        }
+        
+        if (!stroke.points || stroke.points.length < 2) return '';
+        
+        if (stroke.tool === 'image') {
+            const [start, end] = stroke.points;
+            return `<image href="${escapeXml(stroke.src)}" x="${num(Math.min(start.x, end.x))}" y="${num(Math.min(start.y, end.y))}" ` +
+                `width="${num(Math.abs(end.x - start.x))}" height="${num(Math.abs(end.y - start.y))}" preserveAspectRatio="none"/>`;
+        }
+        
+        // Pen strokes change width along the way, so each part of the line gets a path of its own
+        if (StrokeSmoothing.isFreehand(stroke) && StrokeSmoothing.hasPressure(stroke)) {
+            const parts = [];
+            for (let i = 1; i <= stroke.points.length; i++) {
+                for (const part of StrokeSmoothing.getSegmentParts(stroke, i)) {
+                    parts.push(`<path d="${StrokeSmoothing.getPartData(part, num)}" stroke-width="${num(part.width)}"/>`);
+                }
+            }
+            return `<g fill="none" stroke="${escapeXml(color)}" stroke-linecap="round" stroke-linejoin="round">${parts.join('')}</g>`;
+        }
+        
+        return `<path d="${getPathData(stroke)}" fill="none" stroke="${escapeXml(color)}" ` +
+            `stroke-width="${num(stroke.width)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    }
+    
+    /**
+     * Render a board to an SVG document
+     * Each layer is a <g>; eraser strokes become masks over what was drawn before them in their layer
+     */
+    function renderSvg(strokes, layers, options = {}) {
+        const bounds = getBoardBounds(strokes, layers, options.measureText);
+        const defs = [];
+        const groups = [];
+        
+        for (const { layer, strokes: layerStrokes } of groupByLayer(strokes, layers)) {
+            let content = [];
+            
+            for (const stroke of layerStrokes) {
+                if (stroke.tool !== 'eraser') {
+                    content.push(strokeToSvg(stroke));
+                    continue;
+                }
+                
+                // Black in a mask hides, so the eraser path cuts through everything before it
+                const maskId = `erase-${defs.length + 1}`;
+                defs.push(
+                    `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${num(bounds.x)}" y="${num(bounds.y)}" ` +
+                    `width="${num(bounds.width)}" height="${num(bounds.height)}">` +
+                    `<rect x="${num(bounds.x)}" y="${num(bounds.y)}" width="${num(bounds.width)}" height="${num(bounds.height)}" fill="white"/>` +
+                    `${strokeToSvg(stroke, 'black')}</mask>`
+                );
+                content = [`<g mask="url(#${maskId})">${content.join('')}</g>`];
+            }
+            
+            groups.push(`<g id="${escapeXml(layer.id)}" data-name="${escapeXml(layer.name)}">${content.join('')}</g>`);
+        }
+        
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil(bounds.width)}" height="${Math.ceil(bounds.height)}" ` +
+                `viewBox="${num(bounds.x)} ${num(bounds.y)} ${num(bounds.width)} ${num(bounds.height)}">`,
+            defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+            `<rect x="${num(bounds.x)}" y="${num(bounds.y)}" width="${num(bounds.width)}" height="${num(bounds.height)}" fill="#ffffff"/>`,
+            ...groups,
+            '</svg>'
+        ].filter(Boolean).join('\n');
+    }
+    
+    /**
+     * Serialize a room's full history without loss
+     */
+    function toJson(room) {
+        return JSON.stringify({
+            version: JSON_EXPORT_VERSION,
+            roomId: room.roomId,
+            exportedAt: new Date().toISOString(),
+            seq: room.seq,
+            layers: room.layers,
+            strokes: room.strokes
+        }, null, 2);
+    }
+    
+    const BoardExport = {
+        EXPORT_PADDING,
+        JSON_EXPORT_VERSION,
+        escapeXml,
+        getStrokeBounds,
+        getBoardBounds,
+        renderSvg,
+        toJson
+    };
+    
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BoardExport;
+    } else {
+        root.BoardExport = BoardExport;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,493 @@
+/**
+ * Board Import - Turns JSON exports and SVG files into strokes and checks imported data
+ * Shared by the browser (window.BoardImport) and the server (require) so both apply the same limits
+ */
+
+(function(root) {
+    // Largest import message (bytes); the server sizes its socket buffer to match
+    const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+    
+    // Most elements one import may add
+    const MAX_IMPORT_STROKES = 5000;
+    
+    // Most points one stroke may have
+    const MAX_STROKE_POINTS = 10000;
+    
+    // Limits on other stroke fields; imports are clamped to them, live strokes outside them are refused
+    const MAX_STROKE_WIDTH = 500;
+    const MIN_FONT_SIZE = 4;
+    const MAX_FONT_SIZE = 500;
+    const MAX_TEXT_LENGTH = 5000;
+    const MAX_FONT_LENGTH = 100;
+    
+    // Colors strokes may use: hex, CSS color names, and rgb()/hsl() functions
+    const COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|[a-z]{3,20}|(rgb|hsl)a?\([\d\s.,%/+-]{1,60}\))$/i;
+    
+    // Largest image file (bytes) that can be uploaded
+    const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+    
+    // Image formats that can be placed on the board
+    const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+    
+    // Image elements may only point at images stored by the server
+    const IMAGE_SRC_PATTERN = /^\/api\/images\/[a-f0-9]{64}\.(png|jpg)$/;
+    
+    // Newest JSON export version (BoardExport.JSON_EXPORT_VERSION) this can read
+    const SUPPORTED_JSON_VERSION = 1;
+    
+    // Must match canvas.js
+    const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+    const IMPORTABLE_TOOLS = ['brush', 'eraser', 'text', 'image', ...SHAPE_TOOLS];
+    
+    // Segments used to approximate a curve or arc in an SVG path
+    const CURVE_SEGMENTS = 16;
+    
+    // SVG elements whose content is never drawn directly
+    const NON_RENDERED = 'defs, mask, clipPath, pattern, symbol, marker';
+    
+    /**
+     * Check whether a value is a usable coordinate or size
+     */
+    function isFiniteNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    
+    /**
+     * Check whether a value is a color strokes may use
+     */
+    function isColor(value) {
+        return typeof value === 'string' && COLOR_PATTERN.test(value);
+    }
+    
+    /**
+     * Check whether an image element's source is a stored image
+     */
+    function isImageSrc(src) {
+        return typeof src === 'string' && IMAGE_SRC_PATTERN.test(src);
+    }
+    
+    /**
+     * Copy a point's coordinates and its pen pressure, if it has one (clamped to 0-1)
+     */
+    function sanitizePoint(p) {
+        const point = { x: p.x, y: p.y };
+        if (isFiniteNumber(p.pressure)) point.pressure = Math.min(Math.max(p.pressure, 0), 1);
+        return point;
+    }
+    
+    /**
+     * Copy the drawable fields of an imported stroke
+     * Returns null if the stroke is malformed; IDs and authorship are left for the server to assign
+     */
+    function sanitizeStroke(data) {
+        if (!data || typeof data !== 'object' || !IMPORTABLE_TOOLS.includes(data.tool)) return null;
+        if (!Array.isArray(data.points) || data.points.length === 0 || data.points.length > MAX_STROKE_POINTS) return null;
+        if (!data.points.every(p => p && isFiniteNumber(p.x) && isFiniteNumber(p.y))) return null;
+        
+        const stroke = {
+            points: data.points.map(sanitizePoint),
+            color: isColor(data.color) ? data.color : '#000000',
+            tool: data.tool
+        };
+        if (typeof data.layerId === 'string') stroke.layerId = data.layerId.slice(0, 64);
+        
+        if (data.tool === 'text') {
+            if (typeof data.text !== 'string' || !data.text.trim()) return null;
+            stroke.text = data.text.slice(0, MAX_TEXT_LENGTH);
+            stroke.font = typeof data.font === 'string' ? data.font.slice(0, MAX_FONT_LENGTH) : 'sans-serif';
+            stroke.fontSize = isFiniteNumber(data.fontSize)
+                ? Math.min(Math.max(data.fontSize, MIN_FONT_SIZE), MAX_FONT_SIZE)
+                : 24;
+            return stroke;
+        }
+        
+        // Shapes and images are defined by two corners
+        if ((SHAPE_TOOLS.includes(data.tool) || data.tool === 'image') && data.points.length !== 2) return null;
+        
+        if (data.tool === 'image') {
+            if (!isImageSrc(data.src)) return null;
+            stroke.src = data.src;
+            return stroke;
+        }
+        
+        stroke.width = isFiniteNumber(data.width) && data.width > 0 ? Math.min(data.width, MAX_STROKE_WIDTH) : 3;
+        return stroke;
+    }
+    
+    /**
+     * Copy the fields of an imported layer; imported layers always start unlocked
+     * Returns null if the layer is malformed
+     */
+    function sanitizeLayer(data) {
+        if (!data || typeof data.id !== 'string' || !/^layer_[\w-]{1,58}$/.test(data.id)) return null;
+        
+        return {
+            id: data.id,
+            name: typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, 50) : 'Imported layer',
+            visible: data.visible !== false,
+            locked: false
+        };
+    }
+    
+    /**
+     * Read a JSON export (or a bare array of strokes)
+     * Returns { layers, strokes, skipped } where skipped counts strokes that couldn't be read
+     */
+    function parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a valid JSON file');
+        }
+        
+        const board = Array.isArray(data) ? { strokes: data } : data;
+        if (!board || !Array.isArray(board.strokes)) {
+            throw new Error('The file has no strokes');
+        }
+        if (board.version > SUPPORTED_JSON_VERSION) {
+            throw new Error('The file was exported by a newer version');
+        }
+        
+        const strokes = board.strokes.map(sanitizeStroke).filter(Boolean);
+        const layers = (Array.isArray(board.layers) ? board.layers : []).map(sanitizeLayer).filter(Boolean);
+        
+        return { layers, strokes, skipped: board.strokes.length - strokes.length };
+    }
+    
+    /**
+     * Read a presentation attribute, inherited from parent elements, from style or attributes
+     */
+    function getPresentation(element, name) {
+        for (let el = element; el && el.getAttribute; el = el.parentNode) {
+            const style = el.style && el.style.getPropertyValue(name);
+            const value = style || el.getAttribute(name);
+            if (value) return value.trim();
+        }
+        return null;
+    }
+    
+    /**
+     * Get the color and width an SVG element is drawn with
+     * The outline color is used when set, otherwise the fill; unusable colors fall back to black
+     */
+    function getSvgStyle(element) {
+        const stroke = getPresentation(element, 'stroke');
+        const fill = getPresentation(element, 'fill');
+        const color = [stroke, fill].find(c => c && c !== 'none' && !/^(url|currentColor|inherit)/i.test(c));
+        const width = parseFloat(getPresentation(element, 'stroke-width'));
+        
+        return {
+            color: color || '#000000',
+            width: width > 0 ? width : 2
+        };
+    }
+    
+    /**
+     * Read a numeric SVG attribute, defaulting to 0
+     */
+    function attr(element, name) {
+        return parseFloat(element.getAttribute(name)) || 0;
+    }
+    
+    /**
+     * Sample points along an elliptical arc given in SVG endpoint form (SVG spec F.6.5)
+     */
+    function arcPoints(from, rx, ry, rotation, largeArc, sweep, to) {
+        // An arc ending where it starts is skipped; one without radii is a straight line
+        if (from.x === to.x && from.y === to.y) return [];
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) return [to];
+        
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx = (from.x - to.x) / 2;
+        const dy = (from.y - to.y) / 2;
+        const x1 = cos * dx + sin * dy;
+        const y1 = -sin * dx + cos * dy;
+        
+        // Radii too small to reach the end point are scaled up
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+        
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cx1 = coef * rx * y1 / ry;
+        const cy1 = -coef * ry * x1 / rx;
+        const cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2;
+        const cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2;
+        
+        const start = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx);
+        let delta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - start;
+        if (!sweep && delta > 0) delta -= Math.PI * 2;
+        if (sweep && delta < 0) delta += Math.PI * 2;
+        
+        const points = [];
+        const steps = Math.max(2, Math.ceil(Math.abs(delta) / (Math.PI / CURVE_SEGMENTS)));
+        for (let i = 1; i <= steps; i++) {
+            const angle = start + delta * (i / steps);
+            const x = rx * Math.cos(angle);
+            const y = ry * Math.sin(angle);
+            points.push({ x: cos * x - sin * y + cx, y: sin * x + cos * y + cy });
+        }
+        return points;
+    }
+    
+    /**
+     * Sample points along a cubic Bezier curve
+     */
+    function cubicPoints(p0, p1, p2, p3) {
+        const points = [];
+        for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+            const t = i / CURVE_SEGMENTS;
+            const u = 1 - t;
+            points.push({
+                x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+                y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+            });
+        }
+        return points;
+    }
+    
+    /**
+     * Convert SVG path data into polylines, one per subpath
+     * Curves and arcs are approximated by line segments
+     */
+    function parsePathData(d) {
+        const tokens = String(d).match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+        const polylines = [];
+        let current = null;
+        let point = { x: 0, y: 0 };
+        let start = point;
+        let lastCubic = null;
+        let lastQuad = null;
+        let command = null;
+        let i = 0;
+        
+        const next = () => parseFloat(tokens[i++]);
+        const hasNumber = () => i < tokens.length && !/^[a-zA-Z]$/.test(tokens[i]);
+        const lineTo = (points) => {
+            if (points.length === 0) return;
+            if (!current) {
+                current = [point];
+                polylines.push(current);
+            }
+            current.push(...points);
+            point = points[points.length - 1];
+        };
+        
+        while (i < tokens.length) {
+            if (/^[a-zA-Z]$/.test(tokens[i])) {
+                command = tokens[i++];
+            } else if (!command) {
+                break;
+            }
+            
+            const relative = command === command.toLowerCase() && command !== 'z';
+            const at = (x, y) => relative ? { x: point.x + x, y: point.y + y } : { x, y };
+            const type = command.toUpperCase();
+            let control = null;
+            
+            if (type === 'Z') {
+                if (current) lineTo([start]);
+                current = null;
+                command = null;
+                continue;
+            }
+            if (!hasNumber()) break;
+            
+            switch (type) {
+                case 'M':
+                    point = at(next(), next());
+                    start = point;
+                    current = null;
+                    // Further coordinate pairs after a move are lines
+                    command = relative ? 'l' : 'L';
+                    break;
+                case 'L':
+                    lineTo([at(next(), next())]);
+                    break;
+                case 'H': {
+                    const x = next();
+                    lineTo([{ x: relative ? point.x + x : x, y: point.y }]);
+                    break;
+                }
+                case 'V': {
+                    const y = next();
+                    lineTo([{ x: point.x, y: relative ? point.y + y : y }]);
+                    break;
+                }
+                case 'C': {
+                    const c1 = at(next(), next());
+                    control = at(next(), next());
+                    lineTo(cubicPoints(point, c1, control, at(next(), next())));
+                    break;
+                }
+                case 'S': {
+                    // The first control point mirrors the previous curve's second one
+                    const c1 = lastCubic ? { x: 2 * point.x - lastCubic.x, y: 2 * point.y - lastCubic.y } : point;
+                    control = at(next(), next());
+                    lineTo(cubicPoints(point, c1, control, at(next(), next())));
+                    break;
+                }
+                case 'Q':
+                case 'T': {
+                    const q = type === 'Q'
+                        ? at(next(), next())
+                        : lastQuad ? { x: 2 * point.x - lastQuad.x, y: 2 * point.y - lastQuad.y } : point;
+                    const end = at(next(), next());
+                    control = q;
+                    // Raise the quadratic curve to a cubic one
+                    lineTo(cubicPoints(
+                        point,
+                        { x: point.x + (2 / 3) * (q.x - point.x), y: point.y + (2 / 3) * (q.y - point.y) },
+                        { x: end.x + (2 / 3) * (q.x - end.x), y: end.y + (2 / 3) * (q.y - end.y) },
+                        end
+                    ));
+                    break;
+                }
+                case 'A': {
+                    const rx = next();
+                    const ry = next();
+                    const rotation = next();
+                    const largeArc = next() !== 0;
+                    const sweep = next() !== 0;
+                    lineTo(arcPoints(point, rx, ry, rotation, largeArc, sweep, at(next(), next())));
+                    break;
+                }
+                default:
+                    // Unknown command: stop rather than misread the rest
+                    i = tokens.length;
+            }
+            
+            // Smooth curves only mirror a control point of the same kind of curve
+            lastCubic = type === 'C' || type === 'S' ? control : null;
+            lastQuad = type === 'Q' || type === 'T' ? control : null;
+        }
+        
+        return polylines.filter(line => line.length > 1 && line.every(p => isFiniteNumber(p.x) && isFiniteNumber(p.y)));
+    }
+    
+    /**
+     * Read the path, line, rect, polyline, polygon, circle and ellipse elements of an SVG file as strokes
+     * Transforms are not applied; text, images and gradients are skipped
+     */
+    function parseSvg(text) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        if (doc.getElementsByTagName('parsererror').length > 0 || !doc.documentElement || doc.documentElement.nodeName !== 'svg') {
+            throw new Error('Not a valid SVG file');
+        }
+        
+        const strokes = [];
+        const elements = doc.documentElement.querySelectorAll('path, line, rect, polyline, polygon, circle, ellipse');
+        
+        for (const element of elements) {
+            if (element.closest(NON_RENDERED)) continue;
+            
+            const style = getSvgStyle(element);
+            const add = (tool, points) => strokes.push({ points, color: style.color, width: style.width, tool });
+            
+            switch (element.nodeName) {
+                case 'path':
+                    for (const points of parsePathData(element.getAttribute('d'))) {
+                        add('brush', points);
+                    }
+                    break;
+                case 'line':
+                    add('line', [
+                        { x: attr(element, 'x1'), y: attr(element, 'y1') },
+                        { x: attr(element, 'x2'), y: attr(element, 'y2') }
+                    ]);
+                    break;
+                case 'rect': {
+                    const x = attr(element, 'x');
+                    const y = attr(element, 'y');
+                    add('rectangle', [{ x, y }, { x: x + attr(element, 'width'), y: y + attr(element, 'height') }]);
+                    break;
+                }
+                case 'circle':
+                case 'ellipse': {
+                    const cx = attr(element, 'cx');
+                    const cy = attr(element, 'cy');
+                    const rx = element.nodeName === 'circle' ? attr(element, 'r') : attr(element, 'rx');
+                    const ry = element.nodeName === 'circle' ? attr(element, 'r') : attr(element, 'ry');
+                    add('ellipse', [{ x: cx - rx, y: cy - ry }, { x: cx + rx, y: cy + ry }]);
+                    break;
+                }
+                default: {
+                    // polyline and polygon
+                    const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+                    const points = [];
+                    for (let i = 0; i + 1 < values.length; i += 2) {
+                        points.push({ x: values[i], y: values[i + 1] });
+                    }
+                    if (element.nodeName === 'polygon' && points.length > 2) points.push(points[0]);
+                    if (points.length > 1) add('brush', points);
+                }
+            }
+        }
+        
+        return strokes.map(sanitizeStroke).filter(Boolean);
+    }
+    
+    /**
+     * Return copies of strokes moved so the middle of their points lands on a position
+     */
+    function centerStrokes(strokes, position) {
+        if (strokes.length === 0) return strokes;
+        
+        const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const stroke of strokes) {
+            for (const p of stroke.points) {
+                box.minX = Math.min(box.minX, p.x);
+                box.minY = Math.min(box.minY, p.y);
+                box.maxX = Math.max(box.maxX, p.x);
+                box.maxY = Math.max(box.maxY, p.y);
+            }
+        }
+        
+        const dx = position.x - (box.minX + box.maxX) / 2;
+        const dy = position.y - (box.minY + box.maxY) / 2;
+        
+        return strokes.map(stroke => ({
+            ...stroke,
+            points: stroke.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy }))
+        }));
+    }
+    
+    const BoardImport = {
+        MAX_IMPORT_BYTES,
+        MAX_IMPORT_STROKES,
+        MAX_STROKE_POINTS,
+        MAX_STROKE_WIDTH,
+        MIN_FONT_SIZE,
+        MAX_FONT_SIZE,
+        MAX_TEXT_LENGTH,
+        MAX_FONT_LENGTH,
+        MAX_IMAGE_BYTES,
+        IMAGE_TYPES,
+        SHAPE_TOOLS,
+        STROKE_TOOLS: IMPORTABLE_TOOLS,
+        isFiniteNumber,
+        isColor,
+        isImageSrc,
+        sanitizeStroke,
+        sanitizeLayer,
+        parseJson,
+        parsePathData,
+        parseSvg,
+        centerStrokes
+    };
+    
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BoardImport;
+    } else {
+        root.BoardImport = BoardImport;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -3,11 +3,82 @@
  * Handles all canvas operations including drawing, coordinate mapping, and rendering
  */
 
+// Tools drawn from a start point to an end point instead of freehand
+const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+
+// Line height of text elements, relative to their font size
+const TEXT_LINE_HEIGHT = 1.2;
+
+// Extra distance (px) around a stroke that still counts as a click on it
+const HIT_TOLERANCE = 4;
+
+// Size (px) of the resize handles drawn on the selection box
+const HANDLE_SIZE = 8;
+
+// Layer that strokes without a layerId belong to (matches the server)
+const DEFAULT_LAYER_ID = 'layer_default';
+
+// Largest image (in pixels) a PNG export renders before scaling down
+const MAX_EXPORT_PIXELS = 64 * 1024 * 1024;
+
+// Zoom limits of the viewport
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 10;
+
+// Largest share of the visible area a newly placed image covers
+const IMAGE_FIT = 0.8;
+
 class CanvasManager {
-    constructor(canvasElement) {
+    constructor(canvasElement, previewElement) {
         this.canvas = canvasElement;
         this.ctx = canvasElement.getContext('2d');
         
+        // Overlay for in-progress shape previews (local and remote)
+        this.previewCanvas = previewElement;
+        this.previewCtx = previewElement.getContext('2d');
+        
+        // Offscreen canvas each layer is drawn on before being composited,
+        // so eraser strokes only cut through their own layer
+        this.layerCanvas = document.createElement('canvas');
+        this.layerCtx = this.layerCanvas.getContext('2d');
+        
+        // Layer canvas for rendering the whole board (exports and replay videos), created when first needed
+        this.boardLayerCanvas = null;
+        
+        // A full redraw is queued for the next animation frame
+        this.redrawScheduled = false;
+        
+        // Size of the canvas in CSS pixels, which screen coordinates are measured in,
+        // and the device pixels per CSS pixel its backing stores are scaled by
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        
+        // Viewport: the world point (x, y) is shown at the top-left corner, magnified by scale.
+        // Strokes, drawing steps and cursors all use world coordinates.
+        this.viewport = { x: 0, y: 0, scale: 1 };
+        
+        // Pan or pinch gesture in progress ({ world, scale, distance })
+        this.panState = null;
+        
+        // Touches on the canvas (pointerId -> canvas position), for pinch and pan gestures
+        this.touches = new Map();
+        
+        // Pointer that is drawing, selecting or panning ({ id, type }); others are ignored until it lifts
+        this.activePointer = null;
+        
+        // A pen has been used, so touches only pan and zoom and a hand resting on the screen doesn't draw
+        this.penUsed = false;
+        
+        // Space is held down, so dragging pans instead of drawing
+        this.spaceHeld = false;
+        
+        // A timelapse replay is shown instead of the room; drawing and others' live strokes are held back
+        this.replayMode = false;
+        
+        // This user may change the board (false for viewers, muted users and locked boards)
+        this.editable = true;
+        
         // Drawing state
         this.isDrawing = false;
         this.lastX = 0;
@@ -17,11 +88,38 @@ class CanvasManager {
         // Drawing settings
         this.strokeColor = '#000000';
         this.strokeWidth = 3;
-        this.tool = 'brush'; // brush or eraser
+        this.tool = 'brush'; // brush, eraser, object-eraser, select, text or one of SHAPE_TOOLS
+        this.fontFamily = 'sans-serif';
+        this.fontSize = 24;
+        
+        // Inline text editor state ({ element, position, stroke, font, fontSize, color, autosize }) while open
+        this.textEditor = null;
+        
+        // Room layers ({id, name, visible, locked}), bottom first, and the one new strokes go into
+        this.layers = [];
+        this.activeLayerId = DEFAULT_LAYER_ID;
+        
+        // IDs of strokes the object eraser has touched during the current drag
+        this.erasingIds = new Set();
+        
+        // IDs of the selected elements
+        this.selectedIds = new Set();
+        
+        // Drag in progress with the select tool ({ type: 'move'|'scale'|'marquee', start, current, ... })
+        this.selectAction = null;
         
         // Store other users' cursors
         this.remoteCursors = new Map();
         
+        // Other users' in-progress shapes, keyed by userId
+        this.remotePreviews = new Map();
+        
+        // Other users' in-progress freehand strokes, keyed by userId, so redraws keep them
+        this.remoteStrokes = new Map();
+        
+        // Images used by image elements, keyed by src ({ image, loaded, promise })
+        this.images = new Map();
+        
         // Current stroke being drawn
         this.currentStroke = null;
         
@@ -29,6 +127,13 @@ class CanvasManager {
         this.onDrawStep = null;
         this.onStrokeComplete = null;
         this.onCursorMove = null;
+        this.onViewportChange = null;
+        this.onDrawBlocked = null;
+        this.onStrokesUpdate = null;
+        this.onStrokesDelete = null;
+        
+        // Returns the strokes currently shown, used for hit-testing and redraws
+        this.getStrokes = null;
         
         this.setupCanvas();
         this.bindEvents();
@@ -40,102 +145,402 @@ class CanvasManager {
     setupCanvas() {
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
+        this.watchPixelRatio();
     }
     
     /**
-     * Resize canvas to fit container while maintaining quality
+     * Resize the canvas to fit its container, with one backing store pixel per device pixel
+     * Resizing clears the backing stores, so everything is redrawn from the stroke list rather than copied
      */
     resizeCanvas() {
         const container = this.canvas.parentElement;
         const rect = container.getBoundingClientRect();
         
-        // Store current content
-        const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        this.width = rect.width;
+        this.height = rect.height;
+        this.pixelRatio = window.devicePixelRatio || 1;
         
-        // Set canvas size
-        this.canvas.width = rect.width;
-        this.canvas.height = rect.height;
-        
-        // Restore content
-        this.ctx.putImageData(imageData, 0, 0);
+        for (const canvas of [this.canvas, this.previewCanvas, this.layerCanvas]) {
+            canvas.width = Math.round(rect.width * this.pixelRatio);
+            canvas.height = Math.round(rect.height * this.pixelRatio);
+        }
         
         // Reset context settings after resize
+        this.applyViewport();
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
+        this.clearCanvas();
+        this.rerender();
+        this.renderPreviews();
     }
     
     /**
-     * Get accurate canvas coordinates from mouse/touch event
+     * Resize again whenever the device pixel ratio changes (browser zoom, or moving to another screen)
      */
-    getCanvasCoordinates(event) {
+    watchPixelRatio() {
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+            this.resizeCanvas();
+            this.watchPixelRatio();
+        }, { once: true });
+    }
+    
+    /**
+     * Convert a client (page) position to canvas coordinates (CSS pixels)
+     */
+    clientToScreen(clientX, clientY) {
         const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
+        return {
+            x: clientX - rect.left,
+            y: clientY - rect.top
+        };
+    }
+    
+    /**
+     * Get canvas coordinates from a pointer or wheel event
+     */
+    getScreenCoordinates(event) {
+        return this.clientToScreen(event.clientX, event.clientY);
+    }
+    
+    /**
+     * Get world coordinates from a pointer event
+     */
+    getCanvasCoordinates(event) {
+        return this.screenToWorld(this.getScreenCoordinates(event));
+    }
+    
+    /**
+     * Get the world point a pointer event adds to a freehand stroke, with the pen's pressure (to 0.01) for pens
+     */
+    getStrokePoint(event) {
+        const point = this.getCanvasCoordinates(event);
+        if (event.pointerType === 'pen') {
+            point.pressure = Math.round(event.pressure * 100) / 100;
+        }
+        return point;
+    }
+    
+    /**
+     * Convert canvas coordinates (CSS pixels) to world coordinates
+     */
+    screenToWorld(point) {
+        const { x, y, scale } = this.viewport;
+        return { x: point.x / scale + x, y: point.y / scale + y };
+    }
+    
+    /**
+     * Convert world coordinates to canvas coordinates (CSS pixels)
+     */
+    worldToScreen(point) {
+        const { x, y, scale } = this.viewport;
+        return { x: (point.x - x) * scale, y: (point.y - y) * scale };
+    }
+    
+    /**
+     * Get the world point shown in the middle of the canvas
+     */
+    getViewCenter() {
+        return this.screenToWorld({ x: this.width / 2, y: this.height / 2 });
+    }
+    
+    /**
+     * Set the viewport transform, scaled to the backing stores' device pixels, on the canvas contexts
+     */
+    applyViewport() {
+        const { x, y } = this.viewport;
+        const scale = this.viewport.scale * this.pixelRatio;
+        this.ctx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+        this.previewCtx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+        this.layerCtx.setTransform(scale, 0, 0, scale, -x * scale, -y * scale);
+    }
+    
+    /**
+     * Move or zoom the view and redraw everything through the new transform
+     */
+    setViewport(viewport) {
+        this.viewport = {
+            x: viewport.x,
+            y: viewport.y,
+            scale: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, viewport.scale))
+        };
+        this.applyViewport();
         
-        let clientX, clientY;
+        if (this.textEditor) {
+            this.positionTextEditor();
+        }
+        this.rerender();
+        this.renderPreviews();
         
-        // Handle touch events
-        if (event.touches && event.touches.length > 0) {
-            clientX = event.touches[0].clientX;
-            clientY = event.touches[0].clientY;
-        } else {
-            clientX = event.clientX;
-            clientY = event.clientY;
+        if (this.onViewportChange) {
+            this.onViewportChange(this.viewport);
         }
+    }
+    
+    /**
+     * Zoom by a factor, keeping the world point under a screen position in place
+     */
+    zoomAt(screenPoint, factor) {
+        const world = this.screenToWorld(screenPoint);
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.viewport.scale * factor));
         
-        return {
-            x: (clientX - rect.left) * scaleX,
-            y: (clientY - rect.top) * scaleY
+        this.setViewport({
+            x: world.x - screenPoint.x / scale,
+            y: world.y - screenPoint.y / scale,
+            scale
+        });
+    }
+    
+    /**
+     * Zoom by a factor around the middle of the canvas
+     */
+    zoomBy(factor) {
+        this.zoomAt({ x: this.width / 2, y: this.height / 2 }, factor);
+    }
+    
+    /**
+     * Go back to the origin at 100% zoom
+     */
+    resetViewport() {
+        this.setViewport({ x: 0, y: 0, scale: 1 });
+    }
+    
+    /**
+     * Get the canvas positions of the touches on the canvas
+     */
+    getTouchPoints() {
+        return Array.from(this.touches.values());
+    }
+    
+    /**
+     * Begin panning with one pointer, or pinch-zooming with two
+     */
+    startPan(points) {
+        const center = getCenter(points);
+        this.panState = {
+            world: this.screenToWorld(center),
+            scale: this.viewport.scale,
+            distance: points.length > 1 ? Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y) : 0
         };
     }
     
     /**
-     * Bind mouse and touch events for drawing
+     * Keep the world point grabbed at the start of the gesture under the pointer(s)
+     */
+    updatePan(points) {
+        const { world, distance } = this.panState;
+        const center = getCenter(points);
+        
+        let scale = this.panState.scale;
+        if (points.length > 1 && distance > 0) {
+            scale *= Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y) / distance;
+        }
+        scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+        
+        this.setViewport({
+            x: world.x - center.x / scale,
+            y: world.y - center.y / scale,
+            scale
+        });
+    }
+    
+    /**
+     * Bind pointer events (mouse, pen and touch) for drawing
      */
     bindEvents() {
-        // Mouse events
-        this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-        this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-        this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-        this.canvas.addEventListener('mouseout', () => this.stopDrawing());
-        
-        // Touch events for mobile support
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'touch') {
+                this.touches.set(e.pointerId, this.getScreenCoordinates(e));
+                this.startTouch(e);
+                return;
+            }
+            
+            // The pen takes over from a hand resting on the screen
+            if (e.pointerType === 'pen') {
+                this.penUsed = true;
+                if (this.activePointer && this.activePointer.type === 'touch') {
+                    this.activePointer = null;
+                    this.cancelDrawing();
+                }
+            }
+            if (this.activePointer) return;
+            
+            // ...and from a pinch in progress
+            this.panState = null;
+            this.activePointer = { id: e.pointerId, type: e.pointerType };
+            this.canvas.setPointerCapture(e.pointerId);
+            
+            // The middle button or Space + drag pans
+            if (e.button === 1 || this.spaceHeld) {
+                e.preventDefault();
+                this.startPan([this.getScreenCoordinates(e)]);
+                return;
+            }
             this.startDrawing(e);
         });
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            // Track cursor position for other users
+            if (e.pointerType !== 'touch' && this.onCursorMove) {
+                this.onCursorMove(this.getCanvasCoordinates(e));
+            }
+            
+            if (this.touches.has(e.pointerId)) {
+                this.touches.set(e.pointerId, this.getScreenCoordinates(e));
+                if (this.panState && !this.activePointer) {
+                    if (this.touches.size > 1 || this.penUsed) {
+                        this.updatePan(this.getTouchPoints());
+                    }
+                    return;
+                }
+            }
+            
+            if (!this.activePointer || this.activePointer.id !== e.pointerId) return;
+            if (this.panState) {
+                this.updatePan([this.getScreenCoordinates(e)]);
+                return;
+            }
             this.draw(e);
         });
-        this.canvas.addEventListener('touchend', () => this.stopDrawing());
-        this.canvas.addEventListener('touchcancel', () => this.stopDrawing());
         
-        // Track cursor position for other users
-        this.canvas.addEventListener('mousemove', (e) => {
+        const release = (e) => {
+            if (this.activePointer && this.activePointer.id === e.pointerId) {
+                this.touches.delete(e.pointerId);
+                this.activePointer = null;
+                this.stopDrawing();
+                return;
+            }
+            
+            // Lifting one finger of a pinch doesn't start drawing with the other
+            if (this.touches.delete(e.pointerId) && this.panState && !this.activePointer) {
+                if (this.touches.size === 0) {
+                    this.panState = null;
+                } else if (this.penUsed) {
+                    this.startPan(this.getTouchPoints());
+                }
+            }
+        };
+        this.canvas.addEventListener('pointerup', release);
+        this.canvas.addEventListener('pointercancel', release);
+        
+        // Wheel and trackpad pinch (reported as Ctrl + wheel) zoom around the pointer
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            this.zoomAt(this.getScreenCoordinates(e), Math.exp(-delta * (e.ctrlKey ? 0.01 : 0.0015)));
+        }, { passive: false });
+        
+        // Double-click a text element to edit it
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this.replayMode) return;
             const coords = this.getCanvasCoordinates(e);
-            if (this.onCursorMove) {
-                this.onCursorMove(coords);
+            const text = this.findTextAt(coords);
+            if (text && !this.textEditor) {
+                this.openTextEditor(text.points[0], text);
             }
         });
     }
     
+    /**
+     * Handle a finger touching the canvas
+     * One finger draws and a second throws that stroke away and pinch-zooms; once a pen has been used, touches only pan and zoom
+     */
+    startTouch(event) {
+        // A pen or mouse at work ignores touches
+        if (this.activePointer && this.activePointer.type !== 'touch') return;
+        
+        if (this.touches.size > 1 || this.penUsed) {
+            if (this.activePointer) {
+                this.activePointer = null;
+                this.cancelDrawing();
+            }
+            this.startPan(this.getTouchPoints());
+            return;
+        }
+        
+        if (!this.panState) {
+            this.activePointer = { id: event.pointerId, type: 'touch' };
+            this.startDrawing(event);
+        }
+    }
+    
+    /**
+     * Check whether a tool draws a shape rather than a freehand path
+     */
+    isShapeTool(tool) {
+        return SHAPE_TOOLS.includes(tool);
+    }
+    
     /**
      * Start drawing operation
      */
     startDrawing(event) {
-        this.isDrawing = true;
+        if (this.replayMode) return;
+        
+        // Clicking away from an open text editor commits it
+        if (this.textEditor) {
+            this.commitTextEditor();
+            return;
+        }
+        
         const coords = this.getCanvasCoordinates(event);
+        
+        if (this.tool === 'select') {
+            this.startSelect(coords, event.shiftKey);
+            return;
+        }
+        
+        // The object eraser removes whole strokes rather than drawing
+        if (this.tool === 'object-eraser') {
+            this.isDrawing = true;
+            this.lastX = coords.x;
+            this.lastY = coords.y;
+            this.eraseObjectsAt(coords);
+            return;
+        }
+        
+        // Text tool edits the element under the pointer or places a new one
+        const text = this.tool === 'text' ? this.findTextAt(coords) : null;
+        if (text) {
+            this.openTextEditor(text.points[0], text);
+            return;
+        }
+        
+        // New content can't go into a hidden or locked layer
+        if (!this.isLayerEditable(this.activeLayerId)) {
+            if (this.onDrawBlocked) this.onDrawBlocked();
+            return;
+        }
+        
+        if (this.tool === 'text') {
+            this.openTextEditor(coords);
+            return;
+        }
+        
+        this.isDrawing = true;
         this.lastX = coords.x;
         this.lastY = coords.y;
         
+        // Shapes are defined by their start and end points
+        if (this.isShapeTool(this.tool)) {
+            this.currentStroke = {
+                points: [coords, coords],
+                color: this.strokeColor,
+                width: this.strokeWidth,
+                tool: this.tool,
+                layerId: this.activeLayerId
+            };
+            return;
+        }
+        
         // Initialize current stroke
-        this.currentPath = [{ x: coords.x, y: coords.y }];
+        this.currentPath = [this.getStrokePoint(event)];
         this.currentStroke = {
             points: this.currentPath,
-            color: this.tool === 'eraser' ? '#ffffff' : this.strokeColor,
+            color: this.strokeColor,
             width: this.tool === 'eraser' ? this.strokeWidth * 3 : this.strokeWidth,
-            tool: this.tool
+            tool: this.tool,
+            layerId: this.activeLayerId
         };
     }
     
@@ -143,29 +548,50 @@ class CanvasManager {
      * Draw on canvas as mouse moves
      */
     draw(event) {
+        if (this.selectAction) {
+            this.updateSelect(this.getCanvasCoordinates(event));
+            return;
+        }
+        
         if (!this.isDrawing) return;
         
         const coords = this.getCanvasCoordinates(event);
         
-        // Draw line segment
-        this.drawLineSegment(
-            this.lastX, this.lastY,
-            coords.x, coords.y,
-            this.currentStroke.color,
-            this.currentStroke.width
-        );
+        if (this.isShapeTool(this.tool)) {
+            this.updateShape(coords, event.shiftKey);
+            return;
+        }
+        
+        if (this.tool === 'object-eraser') {
+            this.eraseObjectsAlong({ x: this.lastX, y: this.lastY }, coords);
+            this.lastX = coords.x;
+            this.lastY = coords.y;
+            return;
+        }
         
-        // Add point to current path
-        this.currentPath.push({ x: coords.x, y: coords.y });
+        // Add the points the browser merged into this event, so fast pen strokes keep their shape and pressure
+        const start = this.currentPath[this.currentPath.length - 1];
+        for (const sample of getCoalescedEvents(event)) {
+            this.currentPath.push(this.getStrokePoint(sample));
+            
+            // Erasing has to re-composite the layer; other strokes draw straight onto the canvas
+            if (this.tool !== 'eraser') {
+                this.drawStrokeSegment(this.ctx, this.currentStroke, this.currentPath.length - 1);
+            }
+        }
+        if (this.tool === 'eraser') {
+            this.scheduleRedraw();
+        }
         
-        // Emit drawing step to server
+        // Emit drawing step to server; one per event, others get every point once the stroke is saved
         if (this.onDrawStep) {
             this.onDrawStep({
-                start: { x: this.lastX, y: this.lastY },
-                end: { x: coords.x, y: coords.y },
+                start,
+                end: this.currentPath[this.currentPath.length - 1],
                 color: this.currentStroke.color,
                 width: this.currentStroke.width,
-                tool: this.tool
+                tool: this.tool,
+                layerId: this.currentStroke.layerId
             });
         }
         
@@ -178,137 +604,1423 @@ class CanvasManager {
      * Stop drawing and save stroke
      */
     stopDrawing() {
+        if (this.panState) {
+            this.panState = null;
+            return;
+        }
+        
+        if (this.selectAction) {
+            this.finishSelect();
+            return;
+        }
+        
         if (!this.isDrawing) return;
         
         this.isDrawing = false;
         
-        // Only save if we have a meaningful stroke
+        if (this.tool === 'object-eraser' && !this.currentStroke) {
+            this.finishObjectErase();
+            return;
+        }
+        
+        if (this.isShapeTool(this.currentStroke.tool)) {
+            this.finishShape();
+            return;
+        }
+        
+        // Only save if we have a meaningful stroke; the saved points are simplified
         if (this.currentPath.length > 1 && this.onStrokeComplete) {
-            this.onStrokeComplete({
+            this.onStrokeComplete(StrokeSmoothing.simplifyStroke({
                 points: [...this.currentPath],
                 color: this.currentStroke.color,
                 width: this.currentStroke.width,
-                tool: this.currentStroke.tool
-            });
+                tool: this.currentStroke.tool,
+                layerId: this.currentStroke.layerId
+            }));
         }
         
         // Reset current stroke
         this.currentPath = [];
         this.currentStroke = null;
+        
+        // Show the stroke as saved (simplified, with the tail the live pieces don't draw)
+        this.scheduleRedraw();
     }
     
     /**
-     * Draw a line segment on canvas
+     * Throw away the stroke, erase or selection drag in progress without sending anything
+     * Used when it turns out to come from a palm or the start of a pinch
      */
-    drawLineSegment(x1, y1, x2, y2, color, width) {
-        this.ctx.beginPath();
-        this.ctx.strokeStyle = color;
-        this.ctx.lineWidth = width;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.ctx.moveTo(x1, y1);
-        this.ctx.lineTo(x2, y2);
-        this.ctx.stroke();
+    cancelDrawing() {
+        this.isDrawing = false;
+        this.currentPath = [];
+        this.currentStroke = null;
+        this.selectAction = null;
+        this.erasingIds.clear();
+        
+        // The live segments were drawn straight onto the canvas
+        this.renderPreviews();
+        this.scheduleRedraw();
     }
     
     /**
-     * Draw a complete stroke from points array
+     * Move the end of the shape being drawn and show the rubber-band preview
      */
-    drawStroke(stroke) {
-        if (!stroke.points || stroke.points.length < 2) return;
-        
-        this.ctx.beginPath();
-        this.ctx.strokeStyle = stroke.color;
-        this.ctx.lineWidth = stroke.width;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
+    updateShape(coords, constrain) {
+        const start = this.currentStroke.points[0];
+        const end = constrain ? this.constrainShapeEnd(this.tool, start, coords) : coords;
+        this.currentStroke.points = [start, end];
         
-        this.ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+        this.renderPreviews();
         
-        for (let i = 1; i < stroke.points.length; i++) {
-            this.ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
+        // Remote users see the same preview through the drawing channel
+        if (this.onDrawStep) {
+            this.onDrawStep({
+                start,
+                end,
+                color: this.currentStroke.color,
+                width: this.currentStroke.width,
+                tool: this.tool,
+                layerId: this.currentStroke.layerId
+            });
         }
-        
-        this.ctx.stroke();
     }
     
     /**
-     * Draw remote user's stroke segment
+     * Commit the shape being drawn to the canvas and history
      */
-    drawRemoteSegment(data) {
-        this.drawLineSegment(
-            data.start.x, data.start.y,
-            data.end.x, data.end.y,
-            data.color,
-            data.width
-        );
+    finishShape() {
+        const shape = this.currentStroke;
+        this.currentStroke = null;
+        this.currentPath = [];
+        this.renderPreviews();
+        
+        const [start, end] = shape.points;
+        if (start.x === end.x && start.y === end.y) return;
+        
+        this.drawStroke(shape);
+        
+        if (this.onStrokeComplete) {
+            this.onStrokeComplete({
+                points: [start, end],
+                color: shape.color,
+                width: shape.width,
+                tool: shape.tool,
+                layerId: shape.layerId
+            });
+        }
     }
     
     /**
-     * Redraw all strokes - used after undo/redo
+     * Shift-constrain a shape: lines snap to 45 degrees, boxes become squares/circles
      */
-    redrawAllStrokes(strokes) {
-        this.clearCanvas();
+    constrainShapeEnd(tool, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
         
-        for (const stroke of strokes) {
-            this.drawStroke(stroke);
+        if (tool === 'line' || tool === 'arrow') {
+            const step = Math.PI / 4;
+            const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+            const length = Math.hypot(dx, dy);
+            return {
+                x: start.x + Math.cos(angle) * length,
+                y: start.y + Math.sin(angle) * length
+            };
         }
+        
+        const size = Math.max(Math.abs(dx), Math.abs(dy));
+        return {
+            x: start.x + size * Math.sign(dx || 1),
+            y: start.y + size * Math.sign(dy || 1)
+        };
     }
     
     /**
-     * Clear the entire canvas
+     * Draw a shape stroke (line, rectangle, ellipse or arrow) on a context
      */
-    clearCanvas() {
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    drawShape(ctx, stroke) {
+        const [start, end] = stroke.points;
+        if (start.x === end.x && start.y === end.y) return;
+        
+        ctx.beginPath();
+        ctx.strokeStyle = stroke.color;
+        ctx.lineWidth = stroke.width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        switch (stroke.tool) {
+            case 'line':
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+                break;
+            case 'rectangle':
+                ctx.rect(
+                    Math.min(start.x, end.x),
+                    Math.min(start.y, end.y),
+                    Math.abs(end.x - start.x),
+                    Math.abs(end.y - start.y)
+                );
+                break;
+            case 'ellipse':
+                ctx.ellipse(
+                    (start.x + end.x) / 2,
+                    (start.y + end.y) / 2,
+                    Math.abs(end.x - start.x) / 2,
+                    Math.abs(end.y - start.y) / 2,
+                    0, 0, Math.PI * 2
+                );
+                break;
+            case 'arrow': {
+                // Arrowhead scales with the stroke width
+                const angle = Math.atan2(end.y - start.y, end.x - start.x);
+                const headLength = Math.max(12, stroke.width * 4);
+                ctx.moveTo(start.x, start.y);
+                ctx.lineTo(end.x, end.y);
+                ctx.moveTo(
+                    end.x - headLength * Math.cos(angle - Math.PI / 6),
+                    end.y - headLength * Math.sin(angle - Math.PI / 6)
+                );
+                ctx.lineTo(end.x, end.y);
+                ctx.lineTo(
+                    end.x - headLength * Math.cos(angle + Math.PI / 6),
+                    end.y - headLength * Math.sin(angle + Math.PI / 6)
+                );
+                break;
+            }
+        }
+        
+        ctx.stroke();
     }
     
     /**
-     * Update remote cursor position
+     * Redraw the preview overlay with every in-progress shape
      */
-    updateRemoteCursor(userId, data) {
-        this.remoteCursors.set(userId, {
-            x: data.x,
-            y: data.y,
-            color: data.color,
-            username: data.username
-        });
+    renderPreviews() {
+        this.previewCtx.save();
+        this.previewCtx.setTransform(1, 0, 0, 1, 0, 0);
+        this.previewCtx.clearRect(0, 0, this.previewCanvas.width, this.previewCanvas.height);
+        this.previewCtx.restore();
+        
+        for (const preview of this.remotePreviews.values()) {
+            if (this.isLayerVisible(preview.layerId) && !this.replayMode) {
+                this.drawShape(this.previewCtx, preview);
+            }
+        }
+        
+        if (this.isDrawing && this.currentStroke && this.isShapeTool(this.currentStroke.tool)) {
+            this.drawShape(this.previewCtx, this.currentStroke);
+        }
+        
+        this.drawSelection(this.previewCtx);
     }
     
     /**
-     * Remove remote cursor
+     * Remove a remote user's in-progress shape preview
      */
-    removeRemoteCursor(userId) {
-        this.remoteCursors.delete(userId);
+    clearRemotePreview(userId) {
+        if (this.remotePreviews.delete(userId)) {
+            this.renderPreviews();
+        }
     }
     
     /**
-     * Get remote cursors for rendering
+     * Draw a stroke another user just completed that wasn't drawn live
      */
-    getRemoteCursors() {
-        return Array.from(this.remoteCursors.entries());
+    finishRemoteStroke(stroke) {
+        this.clearRemotePreview(stroke.userId);
+        this.remoteStrokes.delete(stroke.userId);
+        
+        if (this.replayMode) return;
+        
+        // Freehand strokes were drawn piece by piece from the raw points; redraw them as saved (simplified)
+        // Shapes, text and images arrive whole
+        if (StrokeSmoothing.isFreehand(stroke)) {
+            this.scheduleRedraw();
+        } else {
+            this.drawStroke(stroke);
+        }
     }
     
     /**
-     * Set drawing color
+     * Get the CSS font string for a text element
      */
-    setColor(color) {
-        this.strokeColor = color;
+    getTextFont(stroke) {
+        return `${stroke.fontSize}px ${stroke.font}`;
     }
     
     /**
-     * Set stroke width
+     * Draw a text element with its anchor at the top-left corner
      */
-    setStrokeWidth(width) {
-        this.strokeWidth = width;
+    drawText(ctx, stroke) {
+        const { x, y } = stroke.points[0];
+        const lineHeight = stroke.fontSize * TEXT_LINE_HEIGHT;
+        
+        ctx.font = this.getTextFont(stroke);
+        ctx.fillStyle = stroke.color;
+        ctx.textBaseline = 'top';
+        
+        stroke.text.split('\n').forEach((line, i) => {
+            ctx.fillText(line, x, y + i * lineHeight);
+        });
     }
     
     /**
-     * Set current tool
+     * Measure the width of one line of a text element
      */
-    setTool(tool) {
-        this.tool = tool;
+    measureTextLine(line, stroke) {
+        this.ctx.font = this.getTextFont(stroke);
+        return this.ctx.measureText(line).width;
     }
+    
+    /**
+     * Get the bounding box of a text element
+     */
+    getTextBounds(stroke) {
+        const { x, y } = stroke.points[0];
+        const lines = stroke.text.split('\n');
+        
+        this.ctx.font = this.getTextFont(stroke);
+        const width = Math.max(...lines.map(line => this.ctx.measureText(line).width));
+        
+        return {
+            x,
+            y,
+            width,
+            height: lines.length * stroke.fontSize * TEXT_LINE_HEIGHT
+        };
+    }
+    
+    /**
+     * Find the topmost text element at a canvas point
+     */
+    findTextAt(point) {
+        const strokes = this.getStrokes ? this.getStrokes() : [];
+        
+        for (let i = strokes.length - 1; i >= 0; i--) {
+            const stroke = strokes[i];
+            if (stroke.tool !== 'text' || !this.isLayerEditable(stroke.layerId)) continue;
+            
+            const bounds = this.getTextBounds(stroke);
+            if (point.x >= bounds.x && point.x <= bounds.x + bounds.width &&
+                point.y >= bounds.y && point.y <= bounds.y + bounds.height) {
+                return stroke;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Open the inline text editor at a position, optionally editing an existing element
+     */
+    openTextEditor(position, stroke = null) {
+        const font = stroke ? stroke.font : this.fontFamily;
+        const fontSize = stroke ? stroke.fontSize : this.fontSize;
+        const color = stroke ? stroke.color : this.strokeColor;
+        
+        const element = document.createElement('textarea');
+        element.className = 'text-editor';
+        element.value = stroke ? stroke.text : '';
+        element.rows = 1;
+        element.style.color = color;
+        
+        // Grow with the content
+        const autosize = () => {
+            element.style.height = 'auto';
+            element.style.width = 'auto';
+            element.style.height = element.scrollHeight + 'px';
+            element.style.width = Math.max(element.scrollWidth, fontSize * this.viewport.scale * 2) + 'px';
+        };
+        
+        element.addEventListener('input', autosize);
+        element.addEventListener('keydown', (e) => {
+            // Enter commits, Shift+Enter adds a line, Escape cancels
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.commitTextEditor();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeTextEditor();
+            }
+            e.stopPropagation();
+        });
+        element.addEventListener('blur', () => this.commitTextEditor());
+        
+        this.textEditor = { element, position, stroke, font, fontSize, color, autosize };
+        this.canvas.parentElement.appendChild(element);
+        
+        // Hide the element being edited so the editor replaces it
+        if (stroke) {
+            this.rerender();
+        }
+        
+        this.positionTextEditor();
+        element.focus();
+    }
+    
+    /**
+     * Place the open text editor over its world position at the current zoom
+     */
+    positionTextEditor() {
+        const { element, position, font, fontSize, autosize } = this.textEditor;
+        const screen = this.worldToScreen(position);
+        
+        element.style.left = screen.x + 'px';
+        element.style.top = screen.y + 'px';
+        element.style.font = `${fontSize * this.viewport.scale}px ${font}`;
+        element.style.lineHeight = TEXT_LINE_HEIGHT;
+        autosize();
+    }
+    
+    /**
+     * Commit the open text editor as a new text element or an edit
+     */
+    commitTextEditor() {
+        if (!this.textEditor) return;
+        
+        const { element, position, stroke, font, fontSize, color } = this.textEditor;
+        const text = element.value.replace(/\s+$/, '');
+        this.closeTextEditor();
+        
+        if (!text) return;
+        
+        if (stroke) {
+            if (text !== stroke.text && this.onStrokesUpdate) {
+                this.onStrokesUpdate([{ strokeId: stroke.id, changes: { text } }]);
+            }
+            return;
+        }
+        
+        const textStroke = {
+            points: [{ x: position.x, y: position.y }],
+            text,
+            font,
+            fontSize,
+            color,
+            tool: 'text',
+            layerId: this.activeLayerId
+        };
+        
+        this.drawText(this.ctx, textStroke);
+        
+        if (this.onStrokeComplete) {
+            this.onStrokeComplete(textStroke);
+        }
+    }
+    
+    /**
+     * Remove the text editor without saving
+     */
+    closeTextEditor() {
+        if (!this.textEditor) return;
+        
+        const { element, stroke } = this.textEditor;
+        this.textEditor = null;
+        element.remove();
+        
+        // Show the element that was hidden while editing
+        if (stroke) {
+            this.rerender();
+        }
+    }
+    
+    /**
+     * Get the outline of a stroke as a polyline, used for hit-testing
+     */
+    getStrokeOutline(stroke) {
+        if (!this.isShapeTool(stroke.tool) || stroke.tool === 'line' || stroke.tool === 'arrow') {
+            return stroke.points;
+        }
+        
+        const [start, end] = stroke.points;
+        
+        if (stroke.tool === 'rectangle') {
+            return [
+                start,
+                { x: end.x, y: start.y },
+                end,
+                { x: start.x, y: end.y },
+                start
+            ];
+        }
+        
+        // Ellipses are approximated by a polygon
+        const cx = (start.x + end.x) / 2;
+        const cy = (start.y + end.y) / 2;
+        const rx = Math.abs(end.x - start.x) / 2;
+        const ry = Math.abs(end.y - start.y) / 2;
+        const outline = [];
+        for (let i = 0; i <= 48; i++) {
+            const angle = (i / 48) * Math.PI * 2;
+            outline.push({ x: cx + Math.cos(angle) * rx, y: cy + Math.sin(angle) * ry });
+        }
+        return outline;
+    }
+    
+    /**
+     * Get the box an image element fills, whichever way round its corners are
+     */
+    getImageBounds(stroke) {
+        const [start, end] = stroke.points;
+        return {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+    }
+    
+    /**
+     * Get the bounding box of any stroke, including its line width
+     */
+    getStrokeBounds(stroke) {
+        if (stroke.tool === 'text') {
+            return this.getTextBounds(stroke);
+        }
+        if (stroke.tool === 'image') {
+            return this.getImageBounds(stroke);
+        }
+        
+        const xs = stroke.points.map(p => p.x);
+        const ys = stroke.points.map(p => p.y);
+        const pad = StrokeSmoothing.getMaxWidth(stroke) / 2;
+        const minX = Math.min(...xs) - pad;
+        const minY = Math.min(...ys) - pad;
+        
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) + pad - minX,
+            height: Math.max(...ys) + pad - minY
+        };
+    }
+    
+    /**
+     * Check whether a point lies on a stroke
+     */
+    hitTest(stroke, point) {
+        // Text and images are solid boxes
+        if (stroke.tool === 'text' || stroke.tool === 'image') {
+            return this.boxContains(this.getStrokeBounds(stroke), point);
+        }
+        
+        const outline = this.getStrokeOutline(stroke);
+        const tolerance = StrokeSmoothing.getMaxWidth(stroke) / 2 + HIT_TOLERANCE / this.viewport.scale;
+        
+        if (outline.length === 1) {
+            return Math.hypot(point.x - outline[0].x, point.y - outline[0].y) <= tolerance;
+        }
+        
+        for (let i = 1; i < outline.length; i++) {
+            if (distanceToSegment(point, outline[i - 1], outline[i]) <= tolerance) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Find the topmost saved stroke at a canvas point
+     */
+    findStrokeAt(point) {
+        const strokes = this.getStrokes ? this.getStrokes() : [];
+        
+        for (let i = strokes.length - 1; i >= 0; i--) {
+            // Strokes the server hasn't confirmed yet, and those on hidden or locked layers, can't be edited
+            if (strokes[i].id && this.isLayerEditable(strokes[i].layerId) && this.hitTest(strokes[i], point)) {
+                return strokes[i];
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Mark every editable stroke under a point for the object eraser
+     */
+    eraseObjectsAt(point) {
+        const strokes = this.getStrokes ? this.getStrokes() : [];
+        let changed = false;
+        
+        for (const stroke of strokes) {
+            if (!stroke.id || this.erasingIds.has(stroke.id) || !this.isLayerEditable(stroke.layerId)) continue;
+            
+            if (this.hitTest(stroke, point)) {
+                this.erasingIds.add(stroke.id);
+                changed = true;
+            }
+        }
+        
+        // Touched strokes disappear right away; the deletion is sent on release
+        if (changed) {
+            this.scheduleRedraw();
+        }
+    }
+    
+    /**
+     * Run the object eraser along a drag segment so fast moves don't skip strokes
+     */
+    eraseObjectsAlong(from, to) {
+        const step = HIT_TOLERANCE / this.viewport.scale;
+        const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / step));
+        
+        for (let i = 1; i <= steps; i++) {
+            this.eraseObjectsAt({
+                x: from.x + (to.x - from.x) * (i / steps),
+                y: from.y + (to.y - from.y) * (i / steps)
+            });
+        }
+    }
+    
+    /**
+     * Delete the strokes the object eraser touched as one undoable action
+     */
+    finishObjectErase() {
+        const ids = Array.from(this.erasingIds);
+        this.erasingIds.clear();
+        
+        if (ids.length > 0 && this.onStrokesDelete) {
+            this.onStrokesDelete(ids);
+        } else {
+            this.rerender();
+        }
+    }
+    
+    /**
+     * Get the strokes that are currently selected
+     */
+    getSelectedStrokes() {
+        const strokes = this.getStrokes ? this.getStrokes() : [];
+        return strokes.filter(s => s.id && this.selectedIds.has(s.id));
+    }
+    
+    /**
+     * Get the box around every selected stroke, or null if nothing is selected
+     */
+    getSelectionBounds() {
+        const selected = this.getSelectedStrokes();
+        if (selected.length === 0) return null;
+        
+        const boxes = selected.map(s => this.getStrokeBounds(s));
+        const minX = Math.min(...boxes.map(b => b.x));
+        const minY = Math.min(...boxes.map(b => b.y));
+        
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...boxes.map(b => b.x + b.width)) - minX,
+            height: Math.max(...boxes.map(b => b.y + b.height)) - minY
+        };
+    }
+    
+    /**
+     * Get the corners of a box, in the order nw, ne, se, sw
+     */
+    getCorners(bounds) {
+        return [
+            { x: bounds.x, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y },
+            { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+            { x: bounds.x, y: bounds.y + bounds.height }
+        ];
+    }
+    
+    /**
+     * Begin a click or drag with the select tool
+     */
+    startSelect(coords, toggle) {
+        const bounds = this.getSelectionBounds();
+        
+        // Dragging a corner handle scales the selection around the opposite corner
+        if (bounds) {
+            const corners = this.getCorners(bounds);
+            const reach = HANDLE_SIZE / this.viewport.scale;
+            const handle = corners.findIndex(c =>
+                Math.abs(c.x - coords.x) <= reach && Math.abs(c.y - coords.y) <= reach);
+            
+            if (handle !== -1) {
+                this.selectAction = {
+                    type: 'scale',
+                    start: coords,
+                    current: coords,
+                    corner: corners[handle],
+                    anchor: corners[(handle + 2) % 4]
+                };
+                return;
+            }
+        }
+        
+        const hit = this.findStrokeAt(coords);
+        
+        if (hit) {
+            if (toggle && this.selectedIds.has(hit.id)) {
+                this.selectedIds.delete(hit.id);
+                this.renderPreviews();
+                return;
+            }
+            
+            if (!toggle && !this.selectedIds.has(hit.id)) {
+                this.selectedIds.clear();
+            }
+            this.selectedIds.add(hit.id);
+        } else if (!bounds || toggle || !this.boxContains(bounds, coords)) {
+            // Empty space starts a marquee; Shift adds to the current selection
+            if (!toggle) this.selectedIds.clear();
+            this.selectAction = { type: 'marquee', start: coords, current: coords };
+            this.renderPreviews();
+            return;
+        }
+        
+        this.selectAction = { type: 'move', start: coords, current: coords };
+        this.renderPreviews();
+    }
+    
+    /**
+     * Follow the pointer during a select tool drag
+     */
+    updateSelect(coords) {
+        this.selectAction.current = coords;
+        
+        if (this.selectAction.type !== 'marquee') {
+            this.rerender();
+        }
+        this.renderPreviews();
+    }
+    
+    /**
+     * End a select tool drag, selecting marquee contents or committing a move/scale
+     */
+    finishSelect() {
+        const action = this.selectAction;
+        const transform = this.getSelectionTransform();
+        this.selectAction = null;
+        
+        if (action.type === 'marquee') {
+            const box = this.getMarqueeBounds(action);
+            const strokes = this.getStrokes ? this.getStrokes() : [];
+            
+            for (const stroke of strokes) {
+                if (stroke.id && this.isLayerEditable(stroke.layerId) &&
+                    this.boxesIntersect(box, this.getStrokeBounds(stroke))) {
+                    this.selectedIds.add(stroke.id);
+                }
+            }
+            this.renderPreviews();
+            return;
+        }
+        
+        if (!transform) {
+            this.renderPreviews();
+            return;
+        }
+        
+        const updates = this.getSelectedStrokes().map(stroke => {
+            const moved = this.transformStroke(stroke, transform);
+            const changes = { points: moved.points };
+            if (stroke.tool === 'text' && moved.fontSize !== stroke.fontSize) {
+                changes.fontSize = moved.fontSize;
+            }
+            return { strokeId: stroke.id, changes };
+        });
+        
+        if (updates.length > 0 && this.onStrokesUpdate) {
+            this.onStrokesUpdate(updates);
+        } else {
+            this.rerender();
+        }
+    }
+    
+    /**
+     * Get the move/scale being dragged as a point mapping, or null if there is none
+     */
+    getSelectionTransform() {
+        const action = this.selectAction;
+        if (!action || action.type === 'marquee') return null;
+        
+        const dx = action.current.x - action.start.x;
+        const dy = action.current.y - action.start.y;
+        if (dx === 0 && dy === 0) return null;
+        
+        if (action.type === 'move') {
+            return { dx, dy, sx: 1, sy: 1, origin: { x: 0, y: 0 } };
+        }
+        
+        // Scale so the dragged corner follows the pointer; no flipping past the anchor
+        const { corner, anchor } = action;
+        const scale = (from, to, origin) =>
+            from === origin ? 1 : Math.max(0.05, (to - origin) / (from - origin));
+        
+        return {
+            dx: 0,
+            dy: 0,
+            sx: scale(corner.x, corner.x + dx, anchor.x),
+            sy: scale(corner.y, corner.y + dy, anchor.y),
+            origin: anchor
+        };
+    }
+    
+    /**
+     * Return a copy of a stroke with a selection transform applied
+     */
+    transformStroke(stroke, transform) {
+        const { dx, dy, sx, sy, origin } = transform;
+        const points = stroke.points.map(p => ({
+            ...p,
+            x: origin.x + (p.x - origin.x) * sx + dx,
+            y: origin.y + (p.y - origin.y) * sy + dy
+        }));
+        
+        const moved = { ...stroke, points };
+        if (stroke.tool === 'text') {
+            // Text keeps its proportions and follows the vertical scale, within the sizes the server accepts
+            const fontSize = Math.round(stroke.fontSize * sy);
+            moved.fontSize = Math.min(Math.max(fontSize, BoardImport.MIN_FONT_SIZE), BoardImport.MAX_FONT_SIZE);
+        }
+        return moved;
+    }
+    
+    /**
+     * Get the normalized box of a marquee drag
+     */
+    getMarqueeBounds(action) {
+        return {
+            x: Math.min(action.start.x, action.current.x),
+            y: Math.min(action.start.y, action.current.y),
+            width: Math.abs(action.current.x - action.start.x),
+            height: Math.abs(action.current.y - action.start.y)
+        };
+    }
+    
+    /**
+     * Check whether a box contains a point
+     */
+    boxContains(box, point) {
+        return point.x >= box.x && point.x <= box.x + box.width &&
+            point.y >= box.y && point.y <= box.y + box.height;
+    }
+    
+    /**
+     * Check whether two boxes overlap
+     */
+    boxesIntersect(a, b) {
+        return a.x <= b.x + b.width && b.x <= a.x + a.width &&
+            a.y <= b.y + b.height && b.y <= a.y + a.height;
+    }
+    
+    /**
+     * Draw selection boxes, resize handles and the marquee on a context
+     */
+    drawSelection(ctx) {
+        const transform = this.getSelectionTransform();
+        let selected = this.getSelectedStrokes();
+        if (transform) {
+            selected = selected.map(s => this.transformStroke(s, transform));
+        }
+        
+        // Outlines and handles keep the same on-screen size at any zoom
+        const px = 1 / this.viewport.scale;
+        const handle = HANDLE_SIZE * px;
+        
+        ctx.save();
+        ctx.strokeStyle = '#3498db';
+        ctx.lineWidth = px;
+        ctx.setLineDash([4 * px, 4 * px]);
+        
+        for (const stroke of selected) {
+            const b = this.getStrokeBounds(stroke);
+            ctx.strokeRect(b.x, b.y, b.width, b.height);
+        }
+        
+        if (this.selectAction && this.selectAction.type === 'marquee') {
+            const b = this.getMarqueeBounds(this.selectAction);
+            ctx.fillStyle = 'rgba(52, 152, 219, 0.1)';
+            ctx.fillRect(b.x, b.y, b.width, b.height);
+            ctx.strokeRect(b.x, b.y, b.width, b.height);
+        }
+        
+        // Handles sit on the box around the whole selection
+        if (selected.length > 0) {
+            const boxes = selected.map(s => this.getStrokeBounds(s));
+            const minX = Math.min(...boxes.map(b => b.x));
+            const minY = Math.min(...boxes.map(b => b.y));
+            const corners = this.getCorners({
+                x: minX,
+                y: minY,
+                width: Math.max(...boxes.map(b => b.x + b.width)) - minX,
+                height: Math.max(...boxes.map(b => b.y + b.height)) - minY
+            });
+            
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#ffffff';
+            for (const corner of corners) {
+                ctx.fillRect(corner.x - handle / 2, corner.y - handle / 2, handle, handle);
+                ctx.strokeRect(corner.x - handle / 2, corner.y - handle / 2, handle, handle);
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Delete the selected strokes
+     */
+    deleteSelection() {
+        const ids = this.getSelectedStrokes().map(s => s.id);
+        this.clearSelection();
+        
+        if (ids.length > 0 && this.onStrokesDelete) {
+            this.onStrokesDelete(ids);
+        }
+    }
+    
+    /**
+     * Deselect everything
+     */
+    clearSelection() {
+        this.selectedIds.clear();
+        this.selectAction = null;
+        this.renderPreviews();
+    }
+    
+    /**
+     * Draw the piece of a freehand stroke that its point at index added, while it is being drawn
+     * Pieces drawn as points arrive make up the same smoothed line as drawStroke
+     */
+    drawStrokeSegment(ctx, stroke, index) {
+        ctx.strokeStyle = stroke.color;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        for (const part of StrokeSmoothing.getSegmentParts(stroke, index)) {
+            ctx.beginPath();
+            ctx.lineWidth = part.width;
+            StrokeSmoothing.tracePart(ctx, part);
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Draw a complete stroke from points array
+     */
+    drawStroke(stroke, ctx = this.ctx) {
+        if (stroke.tool === 'text') {
+            this.drawText(ctx, stroke);
+            return;
+        }
+        
+        if (stroke.tool === 'image') {
+            this.drawImageStroke(ctx, stroke);
+            return;
+        }
+        
+        if (!stroke.points || stroke.points.length < 2) return;
+        
+        if (this.isShapeTool(stroke.tool)) {
+            this.drawShape(ctx, stroke);
+            return;
+        }
+        
+        ctx.beginPath();
+        ctx.strokeStyle = stroke.color;
+        ctx.lineWidth = stroke.width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        // Eraser strokes remove pixels from whatever was drawn before them
+        ctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+        
+        // Freehand points are joined by curves rather than straight lines; pen strokes change width
+        // from piece to piece, so each piece is stroked on its own
+        if (StrokeSmoothing.hasPressure(stroke)) {
+            for (let i = 1; i <= stroke.points.length; i++) {
+                this.drawStrokeSegment(ctx, stroke, i);
+            }
+        } else {
+            StrokeSmoothing.traceSmoothPath(ctx, stroke.points);
+            ctx.stroke();
+        }
+        ctx.globalCompositeOperation = 'source-over';
+    }
+    
+    /**
+     * Draw an image element, or a placeholder box until its image has loaded
+     */
+    drawImageStroke(ctx, stroke) {
+        const bounds = this.getImageBounds(stroke);
+        const entry = this.images.get(stroke.src);
+        
+        if (entry && entry.loaded) {
+            ctx.drawImage(entry.image, bounds.x, bounds.y, bounds.width, bounds.height);
+            return;
+        }
+        
+        // Redraw once it arrives
+        if (!entry) {
+            this.loadImage(stroke.src).then(() => this.scheduleRedraw(), () => {});
+        }
+        
+        ctx.save();
+        ctx.strokeStyle = '#bdc3c7';
+        ctx.lineWidth = 1 / this.viewport.scale;
+        ctx.setLineDash([6 / this.viewport.scale, 4 / this.viewport.scale]);
+        ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        ctx.restore();
+    }
+    
+    /**
+     * Load an image once and keep it for redraws
+     * Resolves with the loaded image element
+     */
+    loadImage(src) {
+        if (this.images.has(src)) {
+            return this.images.get(src).promise;
+        }
+        
+        const image = new Image();
+        const entry = { image, loaded: false, promise: null };
+        entry.promise = new Promise((resolve, reject) => {
+            image.onload = () => {
+                entry.loaded = true;
+                resolve(image);
+            };
+            image.onerror = () => reject(new Error('Image could not be loaded'));
+        });
+        
+        this.images.set(src, entry);
+        image.src = src;
+        return entry.promise;
+    }
+    
+    /**
+     * Place a loaded image on the active layer, centered on a screen point (the view's center by default)
+     * Large images are scaled down to fit the visible area
+     */
+    placeImage(src, screenPoint = null) {
+        const entry = this.images.get(src);
+        if (!entry || !entry.loaded) return;
+        
+        if (!this.isLayerEditable(this.activeLayerId)) {
+            if (this.onDrawBlocked) this.onDrawBlocked();
+            return;
+        }
+        
+        const center = screenPoint ? this.screenToWorld(screenPoint) : this.getViewCenter();
+        const { naturalWidth, naturalHeight } = entry.image;
+        const fit = Math.min(
+            1,
+            (this.width / this.viewport.scale) * IMAGE_FIT / naturalWidth,
+            (this.height / this.viewport.scale) * IMAGE_FIT / naturalHeight
+        );
+        const width = naturalWidth * fit;
+        const height = naturalHeight * fit;
+        
+        const imageStroke = {
+            points: [
+                { x: center.x - width / 2, y: center.y - height / 2 },
+                { x: center.x + width / 2, y: center.y + height / 2 }
+            ],
+            src,
+            color: '#000000',
+            tool: 'image',
+            layerId: this.activeLayerId
+        };
+        
+        if (this.onStrokeComplete) {
+            this.onStrokeComplete(imageStroke);
+        }
+        this.rerender();
+    }
+    
+    /**
+     * Draw remote user's stroke segment
+     */
+    drawRemoteSegment(data) {
+        // Shape steps replace that user's rubber-band preview
+        if (this.isShapeTool(data.tool)) {
+            this.remotePreviews.set(data.userId, {
+                points: [data.start, data.end],
+                color: data.color,
+                width: data.width,
+                tool: data.tool,
+                layerId: data.layerId
+            });
+            this.renderPreviews();
+            return;
+        }
+        
+        // Remember the stroke so far so redraws before it is saved keep it
+        let stroke = this.remoteStrokes.get(data.userId);
+        if (stroke && stroke.tool === data.tool && stroke.color === data.color && stroke.width === data.width) {
+            stroke.points.push(data.end);
+        } else {
+            stroke = {
+                points: [data.start, data.end],
+                color: data.color,
+                width: data.width,
+                tool: data.tool,
+                layerId: data.layerId
+            };
+            this.remoteStrokes.set(data.userId, stroke);
+        }
+        
+        if (this.replayMode || !this.isLayerVisible(data.layerId)) return;
+        
+        if (data.tool === 'eraser') {
+            this.scheduleRedraw();
+            return;
+        }
+        
+        this.drawStrokeSegment(this.ctx, stroke, stroke.points.length - 1);
+    }
+    
+    /**
+     * Redraw all strokes - used after undo/redo
+     */
+    redrawAllStrokes(strokes) {
+        this.clearCanvas();
+        
+        // The text element being edited is shown in the editor instead
+        const editingId = this.textEditor && this.textEditor.stroke ? this.textEditor.stroke.id : null;
+        
+        // Selected strokes follow an in-progress move or scale
+        const transform = this.getSelectionTransform();
+        
+        // Freehand strokes still being drawn, by others and by us, go on top of their layers
+        const live = this.replayMode ? [] : Array.from(this.remoteStrokes.values());
+        if (this.isDrawing && this.currentStroke && !this.isShapeTool(this.currentStroke.tool)) {
+            live.push(this.currentStroke);
+        }
+        
+        const shown = strokes.concat(live)
+            .filter(s => !s.id || (s.id !== editingId && !this.erasingIds.has(s.id)));
+        
+        // Draw each layer offscreen, bottom first, and composite it onto the canvas
+        for (const layerStrokes of this.groupStrokesByLayer(shown)) {
+            this.layerCtx.save();
+            this.layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+            this.layerCtx.clearRect(0, 0, this.layerCanvas.width, this.layerCanvas.height);
+            this.layerCtx.restore();
+            
+            for (const stroke of layerStrokes) {
+                if (transform && this.selectedIds.has(stroke.id)) {
+                    this.drawStroke(this.transformStroke(stroke, transform), this.layerCtx);
+                } else {
+                    this.drawStroke(stroke, this.layerCtx);
+                }
+            }
+            
+            this.ctx.save();
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.drawImage(this.layerCanvas, 0, 0);
+            this.ctx.restore();
+        }
+        
+        // Drop selected strokes that were deleted or undone, or whose layer was hidden or locked
+        const ids = new Set(strokes.filter(s => this.isLayerEditable(s.layerId)).map(s => s.id));
+        for (const id of this.selectedIds) {
+            if (!ids.has(id)) this.selectedIds.delete(id);
+        }
+        this.renderPreviews();
+    }
+    
+    /**
+     * Split strokes on visible layers into one list per layer, bottom layer first
+     * History order is kept within each layer
+     */
+    groupStrokesByLayer(strokes) {
+        const byLayer = new Map();
+        
+        for (const stroke of strokes) {
+            if (!this.isLayerVisible(stroke.layerId)) continue;
+            
+            const index = this.getLayerIndex(stroke.layerId);
+            if (!byLayer.has(index)) byLayer.set(index, []);
+            byLayer.get(index).push(stroke);
+        }
+        
+        return Array.from(byLayer.keys())
+            .sort((a, b) => a - b)
+            .map(index => byLayer.get(index));
+    }
+    
+    /**
+     * Get the area covering every visible stroke, plus padding
+     */
+    getBoardBounds(strokes) {
+        return BoardExport.getBoardBounds(strokes, this.layers, (line, stroke) => this.measureTextLine(line, stroke));
+    }
+    
+    /**
+     * Render the whole board (every visible stroke, not just the viewport) to a new canvas
+     */
+    exportImage(strokes) {
+        const bounds = this.getBoardBounds(strokes);
+        
+        // Very large boards are scaled down to stay within browser canvas limits
+        const scale = Math.min(1, Math.sqrt(MAX_EXPORT_PIXELS / (bounds.width * bounds.height)));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(bounds.width * scale);
+        canvas.height = Math.ceil(bounds.height * scale);
+        this.renderBoard(canvas, strokes, bounds);
+        
+        return canvas;
+    }
+    
+    /**
+     * Draw strokes onto a canvas framing an area of the board, scaled to fit and centered
+     * Layers are composited the same way as on the live canvas
+     */
+    renderBoard(canvas, strokes, bounds) {
+        const scale = Math.min(canvas.width / bounds.width, canvas.height / bounds.height);
+        const offsetX = (canvas.width - bounds.width * scale) / 2 - bounds.x * scale;
+        const offsetY = (canvas.height - bounds.height * scale) / 2 - bounds.y * scale;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        // Reused between calls, since replay videos render a frame at a time
+        if (!this.boardLayerCanvas) {
+            this.boardLayerCanvas = document.createElement('canvas');
+        }
+        const layerCanvas = this.boardLayerCanvas;
+        if (layerCanvas.width !== canvas.width || layerCanvas.height !== canvas.height) {
+            layerCanvas.width = canvas.width;
+            layerCanvas.height = canvas.height;
+        }
+        const layerCtx = layerCanvas.getContext('2d');
+        
+        for (const layerStrokes of this.groupStrokesByLayer(strokes)) {
+            layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+            layerCtx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+            layerCtx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+            
+            for (const stroke of layerStrokes) {
+                this.drawStroke(stroke, layerCtx);
+            }
+            ctx.drawImage(layerCanvas, 0, 0);
+        }
+    }
+    
+    /**
+     * Redraw the strokes currently shown
+     */
+    rerender() {
+        if (this.getStrokes) {
+            this.redrawAllStrokes(this.getStrokes());
+        }
+    }
+    
+    /**
+     * Redraw on the next animation frame, coalescing repeated requests
+     */
+    scheduleRedraw() {
+        if (this.redrawScheduled) return;
+        
+        this.redrawScheduled = true;
+        requestAnimationFrame(() => {
+            this.redrawScheduled = false;
+            this.rerender();
+        });
+    }
+    
+    /**
+     * Clear the entire canvas
+     */
+    clearCanvas() {
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
+    }
+    
+    /**
+     * Update remote cursor position
+     */
+    updateRemoteCursor(userId, data) {
+        this.remoteCursors.set(userId, {
+            x: data.x,
+            y: data.y,
+            color: data.color,
+            username: data.username
+        });
+    }
+    
+    /**
+     * Remove remote cursor
+     */
+    removeRemoteCursor(userId) {
+        this.remoteCursors.delete(userId);
+        this.remoteStrokes.delete(userId);
+        this.clearRemotePreview(userId);
+    }
+    
+    /**
+     * Remove all remote cursors and shape previews (e.g. when switching rooms)
+     */
+    clearRemoteCursors() {
+        this.remoteCursors.clear();
+        this.remoteStrokes.clear();
+        this.remotePreviews.clear();
+        this.renderPreviews();
+    }
+    
+    /**
+     * Get remote cursors for rendering (positions in world coordinates)
+     */
+    getRemoteCursors() {
+        return Array.from(this.remoteCursors.entries());
+    }
+    
+    /**
+     * Set drawing color
+     */
+    setColor(color) {
+        this.strokeColor = color;
+    }
+    
+    /**
+     * Set stroke width
+     */
+    setStrokeWidth(width) {
+        this.strokeWidth = width;
+    }
+    
+    /**
+     * Set font family for new text elements
+     */
+    setFontFamily(fontFamily) {
+        this.fontFamily = fontFamily;
+    }
+    
+    /**
+     * Set font size for new text elements
+     */
+    setFontSize(fontSize) {
+        this.fontSize = fontSize;
+    }
+    
+    /**
+     * Set the room's layers (bottom first)
+     */
+    setLayers(layers) {
+        this.layers = layers;
+    }
+    
+    /**
+     * Set the layer new strokes go into
+     */
+    setActiveLayer(layerId) {
+        this.activeLayerId = layerId;
+    }
+    
+    /**
+     * Find the layer a stroke belongs to
+     */
+    getLayer(layerId) {
+        return this.layers.find(l => l.id === (layerId || DEFAULT_LAYER_ID)) || null;
+    }
+    
+    /**
+     * Get a layer's stacking position (0 is the bottom)
+     */
+    getLayerIndex(layerId) {
+        const layer = this.getLayer(layerId);
+        return layer ? this.layers.indexOf(layer) : 0;
+    }
+    
+    /**
+     * Check whether a layer is shown
+     */
+    isLayerVisible(layerId) {
+        const layer = this.getLayer(layerId);
+        return !layer || layer.visible;
+    }
+    
+    /**
+     * Check whether a layer's content can be added to or changed
+     */
+    isLayerEditable(layerId) {
+        if (!this.editable) return false;
+        
+        const layer = this.getLayer(layerId);
+        return !layer || (layer.visible && !layer.locked);
+    }
+    
+    /**
+     * Check whether nothing visible is drawn above a layer, so new strokes on it can be drawn on top
+     */
+    isTopLayer(layerId) {
+        const index = this.getLayerIndex(layerId);
+        return this.layers.slice(index + 1).every(l => !l.visible);
+    }
+    
+    /**
+     * Show a replay instead of the room, or go back to the room
+     * Anything in progress is finished first so nothing is sent while replaying
+     */
+    setReplayMode(enabled) {
+        this.commitTextEditor();
+        this.stopDrawing();
+        this.clearSelection();
+        this.replayMode = enabled;
+        this.renderPreviews();
+    }
+    
+    /**
+     * Allow or stop changes to the board by this user
+     * Work in progress is ended when editing is taken away; the server refuses anything still sent
+     */
+    setEditable(editable) {
+        if (!editable) {
+            this.closeTextEditor();
+            this.stopDrawing();
+            this.clearSelection();
+        }
+        this.editable = editable;
+    }
+    
+    /**
+     * Set current tool
+     */
+    setTool(tool) {
+        // Switching tools mid-drag would leave the drag half finished
+        this.stopDrawing();
+        this.tool = tool;
+        
+        if (tool !== 'select') {
+            this.clearSelection();
+        }
+    }
+}
+
+/**
+ * Midpoint of one or more points
+ */
+function getCenter(points) {
+    return {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+}
+
+/**
+ * Pointer positions the browser merged into a pointermove event, oldest first, ending with the event's own
+ */
+function getCoalescedEvents(event) {
+    const events = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+    return events.length > 0 ? events : [event];
+}
+
+/**
+ * Shortest distance from a point to a line segment
+ */
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
 }
 
 // Export for use in main.js
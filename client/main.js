@@ -8,6 +8,46 @@ let canvasManager = null;
 let wsClient = null;
 let users = new Map();
 let strokeHistory = [];
+let layers = [];
+let snapshots = [];
+let roomSettings = {};
+
+// Room roles and moderation state (users not in roles are editors)
+let roomAccess = { ownerId: null, readOnly: false, roles: {}, muted: [] };
+
+// The last clear while it can be undone ({seq, timer}), and the open vote to clear ({voteId, ownRequest, voted})
+let clearUndo = null;
+let clearVote = null;
+
+// Local timelapse replay, and the recorder while it is being saved as a video
+let replayPlayer = null;
+let replayRecording = null;
+
+// Room used when the URL does not name one
+const DEFAULT_ROOM = 'main';
+
+// View-only screen (?view=1) for projecting or embedding the board: no toolbar, nothing sent
+const viewMode = new URLSearchParams(window.location.search).get('view') === '1';
+
+// Largest replay video (px); smaller boards are recorded at their own size
+const REPLAY_VIDEO_WIDTH = 1920;
+const REPLAY_VIDEO_HEIGHT = 1080;
+
+// How long (ms) a replay video holds the finished board before it ends
+const REPLAY_VIDEO_END_HOLD = 1000;
+
+// Single-key tool shortcuts
+const TOOL_SHORTCUTS = {
+    b: 'brush',
+    e: 'eraser',
+    E: 'object-eraser',
+    l: 'line',
+    r: 'rectangle',
+    o: 'ellipse',
+    a: 'arrow',
+    t: 'text',
+    s: 'select'
+};
 
 // Throttle function for cursor updates
 function throttle(func, limit) {
@@ -38,12 +78,16 @@ function initializeApp() {
         return;
     }
     
+    // Hide the toolbar before the canvas is sized to fill the page
+    document.body.classList.toggle('view-mode', viewMode);
+    
     // Initialize canvas manager
-    canvasManager = new CanvasManager(canvas);
+    canvasManager = new CanvasManager(canvas, document.getElementById('previewCanvas'));
     canvasManager.clearCanvas();
     
     // Initialize WebSocket client
     wsClient = new WebSocketClient();
+    wsClient.spectator = viewMode;
     
     // Setup canvas callbacks
     setupCanvasCallbacks();
@@ -54,8 +98,8 @@ function initializeApp() {
     // Setup UI controls
     setupUIControls();
     
-    // Connect to server
-    wsClient.connect();
+    // Connect to server and join the room named in the URL, with the invite in the link if there is one
+    wsClient.connect(getRoomFromUrl(), getInviteFromUrl());
     
     // Start cursor rendering loop
     startCursorRenderLoop();
@@ -77,6 +121,35 @@ function setupCanvasCallbacks() {
         wsClient.emitStrokeComplete(data);
     };
     
+    // When existing elements are moved, resized or edited, show it right away and send the changes
+    canvasManager.onStrokesUpdate = (updates) => {
+        for (const { strokeId, changes } of updates) {
+            strokeHistory = strokeHistory.map(s => s.id === strokeId ? { ...s, ...changes } : s);
+        }
+        redrawCanvas();
+        wsClient.emitUpdateStrokes(updates);
+    };
+    
+    // When selected elements are deleted, remove them locally and send the deletion
+    canvasManager.onStrokesDelete = (strokeIds) => {
+        strokeHistory = strokeHistory.filter(s => !strokeIds.includes(s.id));
+        redrawCanvas();
+        wsClient.emitDeleteStrokes(strokeIds);
+    };
+    
+    // Hit-testing and local redraws use everything currently shown
+    canvasManager.getStrokes = getRenderedStrokes;
+    
+    // Drawing was attempted on a hidden or locked layer, or by someone who can't draw here
+    canvasManager.onDrawBlocked = () => {
+        showNotification(getDrawRestriction() || 'The active layer is hidden or locked');
+    };
+    
+    // Keep the zoom display in step with the view
+    canvasManager.onViewportChange = (viewport) => {
+        updateZoomLevel(viewport.scale);
+    };
+    
     // Throttled cursor movement
     canvasManager.onCursorMove = throttle((coords) => {
         wsClient.emitCursorMove(coords.x, coords.y);
@@ -96,7 +169,16 @@ function setupWebSocketCallbacks() {
     // Connection lost
     wsClient.on('disconnect', () => {
         updateConnectionStatus(false);
-        showNotification('Disconnected - attempting to reconnect...');
+        showNotification('Disconnected - your drawing will sync when reconnected');
+    });
+    
+    // Sending too fast; the server drops what is over its limits
+    wsClient.on('rateLimited', (data) => {
+        if (data.disconnected) {
+            showNotification(`Disconnected for sending too many changes - reconnecting in ${Math.round(data.reconnectDelay / 1000)} seconds`);
+        } else if (data.event !== 'cursor_move') {
+            showNotification('Slow down - some of your changes were not sent');
+        }
     });
     
     // Reconnecting
@@ -110,10 +192,17 @@ function setupWebSocketCallbacks() {
         showNotification('Could not reconnect to server. Please refresh the page.');
     });
     
-    // Initial data received
+    // Initial data received (on connect and on every room switch)
     wsClient.on('init', (data) => {
         // Update user info display
         updateUserInfo(data.username, data.userColor);
+        updateRoomInfo(data.roomId);
+        
+        // Reset state carried over from a previous room
+        exitReplay();
+        hideClearVote();
+        users.clear();
+        canvasManager.clearRemoteCursors();
         
         // Store existing users
         for (const user of data.users) {
@@ -121,18 +210,58 @@ function setupWebSocketCallbacks() {
                 users.set(user.id, user);
             }
         }
-        updateUsersList();
+        setRoomAccess(data.access, false);
         
-        // Draw existing strokes
-        strokeHistory = data.strokes || [];
-        canvasManager.redrawAllStrokes(strokeHistory);
+        // Apply room history (a snapshot, or only missed ops after a reconnect)
+        applyRoomState(data);
+        loadSnapshots();
+        setRoomSettings(data.settings);
+        if (data.clearUndo) {
+            showClearUndo(data.clearUndo);
+        } else {
+            hideClearUndo();
+        }
+        
+        const pendingCount = wsClient.outbox.length;
+        if (pendingCount > 0) {
+            showNotification(`Syncing ${pendingCount} offline change${pendingCount === 1 ? '' : 's'}`);
+        }
+    });
+    
+    // Left a room without joining another
+    wsClient.on('roomLeft', () => {
+        resetRoomView();
+    });
+    
+    // Removed from the room by its owner
+    wsClient.on('kicked', (data) => {
+        resetRoomView();
+        showNotification(`${data.username} removed you from the room`);
+    });
+    
+    // Not let into a room (a protected room, or after being removed from it)
+    wsClient.on('joinRefused', (data) => {
+        resetRoomView();
+        if (!wsClient.isConnected()) {
+            updateConnectionStatus(false, 'Not in a room');
+        }
+        
+        // Ask for the password and try again
+        if (data.code === 'password_required' || data.code === 'wrong_password') {
+            const password = prompt(`${data.error}. Password for "${data.roomId}":`);
+            if (password) {
+                wsClient.joinRoom(data.roomId, { password });
+                return;
+            }
+        }
+        showNotification(data.error);
     });
     
     // New user joined
     wsClient.on('userJoined', (data) => {
         users.set(data.id, data);
         updateUsersList();
-        showNotification(`${data.username} joined the canvas`);
+        showNotification(data.spectator ? `${data.username} is watching` : `${data.username} joined the canvas`);
     });
     
     // User left
@@ -148,6 +277,93 @@ function setupWebSocketCallbacks() {
         canvasManager.drawRemoteSegment(data);
     });
     
+    // Stroke added to room history
+    wsClient.on('strokeSaved', (data) => {
+        applyOp({ type: 'add', stroke: data.stroke });
+        
+        // Our own strokes were drawn locally as they were made
+        if (data.stroke.userId !== wsClient.userId) {
+            canvasManager.finishRemoteStroke(data.stroke);
+        }
+        
+        // Live drawing lands on top; put strokes on lower layers in their place
+        if (!canvasManager.isTopLayer(data.stroke.layerId)) {
+            redrawCanvas();
+        }
+    });
+    
+    // Server refused one of our strokes (e.g. its layer was locked meanwhile)
+    wsClient.on('strokeRejected', (data) => {
+        redrawCanvas();
+        showNotification(data.error);
+    });
+    
+    // Server refused an edit or deletion; the full sync that follows puts the elements back
+    wsClient.on('changeRejected', (data) => {
+        showNotification(data.error);
+    });
+    
+    // Server refused a malformed event; live drawing and cursor updates are only logged
+    wsClient.on('payloadRejected', (data) => {
+        if (data.event === 'drawing_step' || data.event === 'cursor_move') return;
+        showNotification(`Change not saved: ${data.error}`);
+    });
+    
+    // Existing elements moved, resized or edited
+    wsClient.on('strokesUpdated', (data) => {
+        applyOps(data.ops);
+    });
+    
+    // Elements deleted
+    wsClient.on('strokesDeleted', (data) => {
+        applyOps(data.ops);
+    });
+    
+    // Board or SVG file imported (may also create layers)
+    wsClient.on('strokesImported', (data) => {
+        applyOps(data.ops);
+    });
+    
+    // Server finished one of our imports
+    wsClient.on('importResult', (data) => {
+        redrawCanvas();
+        if (data.error) {
+            showNotification(`Import failed: ${data.error}`);
+        } else if (data.count > 0) {
+            const skipped = data.skipped > 0 ? ` (${data.skipped} skipped)` : '';
+            showNotification(`Imported ${data.count} element${data.count === 1 ? '' : 's'}${skipped}`);
+        }
+    });
+    
+    // Layers created, renamed, reordered, hidden or locked
+    wsClient.on('layersUpdated', (data) => {
+        // Switch to a layer we just created
+        const added = data.layers.find(l => !layers.some(old => old.id === l.id));
+        
+        setRoomLayers(data.layers);
+        if (added && data.userId === wsClient.userId) {
+            setActiveLayer(added.id);
+        }
+        redrawCanvas();
+    });
+    
+    // Board replaced by a saved snapshot
+    wsClient.on('boardRestored', (data) => {
+        canvasManager.clearSelection();
+        applyOps(data.ops);
+        showNotification(`${data.username || 'Someone'} restored "${data.snapshotName}"`);
+    });
+    
+    // Snapshot saved or deleted
+    wsClient.on('snapshotsUpdated', (data) => {
+        setSnapshots(data.snapshots);
+    });
+    
+    // Catch up after missing history events
+    wsClient.on('sync', (data) => {
+        applyRoomState(data);
+    });
+    
     // Cursor update from another user
     wsClient.on('cursorUpdate', (data) => {
         canvasManager.updateRemoteCursor(data.userId, data);
@@ -155,24 +371,158 @@ function setupWebSocketCallbacks() {
     
     // Undo event
     wsClient.on('undoStroke', (data) => {
-        strokeHistory = data.allStrokes || [];
-        canvasManager.redrawAllStrokes(strokeHistory);
+        applyOps(data.ops);
     });
     
     // Redo event
     wsClient.on('redoStroke', (data) => {
-        strokeHistory = data.allStrokes || [];
-        canvasManager.redrawAllStrokes(strokeHistory);
+        applyOps(data.ops);
     });
     
-    // Canvas cleared
+    // Canvas cleared; anyone can bring it back for a while
     wsClient.on('canvasCleared', (data) => {
-        strokeHistory = [];
-        canvasManager.clearCanvas();
-        showNotification(`${data.username} cleared the canvas`);
+        applyOp({ type: 'clear' });
+        redrawCanvas();
+        showClearUndo(data);
+    });
+    
+    // Cleared board brought back
+    wsClient.on('clearUndone', (data) => {
+        applyOps(data.ops);
+        if (clearUndo && clearUndo.seq === data.clearSeq) {
+            hideClearUndo();
+        }
+        showNotification(`${data.username} brought back the cleared canvas`);
+    });
+    
+    // Someone asked to clear the board and the room has to approve
+    wsClient.on('clearVoteStarted', (data) => {
+        clearVote = { voteId: data.voteId, ownRequest: data.userId === wsClient.userId, voted: false, username: data.username };
+        updateClearVote(data);
+    });
+    
+    wsClient.on('clearVoteUpdated', (data) => {
+        if (clearVote && clearVote.voteId === data.voteId) {
+            updateClearVote(data);
+        }
+    });
+    
+    wsClient.on('clearVoteEnded', (data) => {
+        if (!clearVote || clearVote.voteId !== data.voteId) return;
+        
+        hideClearVote();
+        if (data.result === 'rejected') {
+            showNotification('The room voted not to clear the canvas');
+        } else if (data.result === 'expired') {
+            showNotification('Not enough people approved clearing the canvas in time');
+        }
+    });
+    
+    // Room settings changed
+    wsClient.on('settingsUpdated', (data) => {
+        setRoomSettings(data.settings);
+        if (data.userId !== wsClient.userId) {
+            showNotification(`${data.username} changed the room settings`);
+        }
+    });
+    
+    // Roles, mutes or the board lock changed
+    wsClient.on('accessUpdated', (data) => {
+        setRoomAccess(data, true);
     });
 }
 
+/**
+ * Forget the current room's board and users after leaving it
+ */
+function resetRoomView() {
+    exitReplay();
+    users.clear();
+    canvasManager.clearRemoteCursors();
+    setRoomAccess(null, false);
+    strokeHistory = [];
+    setRoomLayers([]);
+    setSnapshots([]);
+    hideClearUndo();
+    hideClearVote();
+    canvasManager.clearCanvas();
+}
+
+/**
+ * Apply an init/sync payload: either a full stroke snapshot or a list of ops
+ */
+function applyRoomState(data) {
+    if (data.ops) {
+        applyOps(data.ops);
+    } else {
+        strokeHistory = data.strokes || [];
+        setRoomLayers(data.layers || []);
+        redrawCanvas();
+    }
+}
+
+/**
+ * Apply a batch of history operations and redraw
+ */
+function applyOps(ops) {
+    for (const op of ops) {
+        applyOp(op);
+    }
+    redrawCanvas();
+}
+
+/**
+ * Apply one history operation to the local stroke list
+ */
+function applyOp(op) {
+    switch (op.type) {
+        case 'add':
+            if (!strokeHistory.some(s => s.id === op.stroke.id)) {
+                // Undone deletions go back to their original place in the stack
+                const index = op.index === undefined ? strokeHistory.length : Math.min(op.index, strokeHistory.length);
+                strokeHistory.splice(index, 0, op.stroke);
+            }
+            break;
+        case 'update':
+            strokeHistory = strokeHistory.map(s => s.id === op.stroke.id ? op.stroke : s);
+            break;
+        case 'remove':
+            strokeHistory = strokeHistory.filter(s => s.id !== op.strokeId);
+            break;
+        case 'clear':
+            strokeHistory = [];
+            break;
+        case 'restore':
+            strokeHistory = op.strokes.slice();
+            setRoomLayers(op.layers);
+            break;
+        case 'layers':
+            setRoomLayers(op.layers);
+            break;
+    }
+}
+
+/**
+ * Get room history with local strokes not yet confirmed by the server on top
+ * During a replay, the replay frame is shown instead
+ */
+function getRenderedStrokes() {
+    if (replayPlayer) {
+        return replayPlayer.getFrameStrokes();
+    }
+    
+    const pending = wsClient.getPendingStrokes()
+        .filter(p => !strokeHistory.some(s => s.clientStrokeId === p.clientStrokeId));
+    return strokeHistory.concat(pending);
+}
+
+/**
+ * Redraw everything currently shown
+ */
+function redrawCanvas() {
+    canvasManager.redrawAllStrokes(getRenderedStrokes());
+}
+
 /**
  * Setup UI control elements
  */
@@ -182,7 +532,7 @@ function setupUIControls() {
     if (colorPicker) {
         colorPicker.addEventListener('input', (e) => {
             canvasManager.setColor(e.target.value);
-            setActiveTool('brush');
+            if (canvasManager.tool.includes('eraser')) setActiveTool('brush');
         });
     }
     
@@ -193,7 +543,7 @@ function setupUIControls() {
             const color = preset.dataset.color;
             canvasManager.setColor(color);
             if (colorPicker) colorPicker.value = color;
-            setActiveTool('brush');
+            if (canvasManager.tool.includes('eraser')) setActiveTool('brush');
         });
     });
     
@@ -208,19 +558,26 @@ function setupUIControls() {
         });
     }
     
-    // Brush tool button
-    const brushBtn = document.getElementById('brushTool');
-    if (brushBtn) {
-        brushBtn.addEventListener('click', () => {
-            setActiveTool('brush');
+    // Tool buttons
+    const toolButtons = document.querySelectorAll('.tool-btn[data-tool]');
+    toolButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            setActiveTool(button.dataset.tool);
+        });
+    });
+    
+    // Text font controls
+    const fontFamily = document.getElementById('fontFamily');
+    if (fontFamily) {
+        fontFamily.addEventListener('change', (e) => {
+            canvasManager.setFontFamily(e.target.value);
         });
     }
     
-    // Eraser tool button
-    const eraserBtn = document.getElementById('eraserTool');
-    if (eraserBtn) {
-        eraserBtn.addEventListener('click', () => {
-            setActiveTool('eraser');
+    const fontSize = document.getElementById('fontSize');
+    if (fontSize) {
+        fontSize.addEventListener('change', (e) => {
+            canvasManager.setFontSize(parseInt(e.target.value));
         });
     }
     
@@ -240,18 +597,328 @@ function setupUIControls() {
         });
     }
     
+    // Add layer button
+    const addLayerBtn = document.getElementById('addLayerBtn');
+    if (addLayerBtn) {
+        addLayerBtn.addEventListener('click', () => {
+            wsClient.emitCreateLayer();
+        });
+    }
+    
+    // Delete selection button
+    const deleteBtn = document.getElementById('deleteBtn');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            canvasManager.deleteSelection();
+        });
+    }
+    
+    // Zoom controls
+    const zoomInBtn = document.getElementById('zoomInBtn');
+    if (zoomInBtn) {
+        zoomInBtn.addEventListener('click', () => canvasManager.zoomBy(1.25));
+    }
+    
+    const zoomOutBtn = document.getElementById('zoomOutBtn');
+    if (zoomOutBtn) {
+        zoomOutBtn.addEventListener('click', () => canvasManager.zoomBy(0.8));
+    }
+    
+    const zoomResetBtn = document.getElementById('zoomResetBtn');
+    if (zoomResetBtn) {
+        zoomResetBtn.addEventListener('click', () => canvasManager.resetViewport());
+    }
+    
+    // Export buttons
+    const exportPngBtn = document.getElementById('exportPngBtn');
+    if (exportPngBtn) {
+        exportPngBtn.addEventListener('click', () => {
+            canvasManager.exportImage(getRenderedStrokes()).toBlob(blob => {
+                downloadFile(blob, `${wsClient.roomId}.png`);
+            }, 'image/png');
+        });
+    }
+    
+    const exportSvgBtn = document.getElementById('exportSvgBtn');
+    if (exportSvgBtn) {
+        exportSvgBtn.addEventListener('click', () => {
+            const svg = BoardExport.renderSvg(getRenderedStrokes(), layers, {
+                measureText: (line, stroke) => canvasManager.measureTextLine(line, stroke)
+            });
+            downloadFile(new Blob([svg], { type: 'image/svg+xml' }), `${wsClient.roomId}.svg`);
+        });
+    }
+    
+    const exportJsonBtn = document.getElementById('exportJsonBtn');
+    if (exportJsonBtn) {
+        exportJsonBtn.addEventListener('click', () => {
+            const json = BoardExport.toJson({
+                roomId: wsClient.roomId,
+                seq: wsClient.lastSeq,
+                layers,
+                strokes: strokeHistory
+            });
+            downloadFile(new Blob([json], { type: 'application/json' }), `${wsClient.roomId}.json`);
+        });
+    }
+    
+    // Import from a file picker
+    const importBtn = document.getElementById('importBtn');
+    const importInput = document.getElementById('importInput');
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            for (const file of importInput.files) {
+                importFile(file);
+            }
+            importInput.value = '';
+        });
+    }
+    
+    // Drop files onto the canvas to import them where they land
+    const canvasContainer = document.getElementById('canvasContainer');
+    if (canvasContainer) {
+        canvasContainer.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            canvasContainer.classList.add('drop-target');
+        });
+        canvasContainer.addEventListener('dragleave', () => {
+            canvasContainer.classList.remove('drop-target');
+        });
+        canvasContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            canvasContainer.classList.remove('drop-target');
+            const position = canvasManager.clientToScreen(e.clientX, e.clientY);
+            for (const file of e.dataTransfer.files) {
+                importFile(file, position);
+            }
+        });
+    }
+    
+    // Paste images from the clipboard into the middle of the view
+    document.addEventListener('paste', (e) => {
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        
+        const images = Array.from(e.clipboardData.files).filter(f => BoardImport.IMAGE_TYPES.includes(f.type));
+        if (images.length > 0) {
+            e.preventDefault();
+            images.forEach(file => importFile(file));
+        }
+    });
+    
+    // Save a named snapshot
+    const saveSnapshotBtn = document.getElementById('saveSnapshotBtn');
+    if (saveSnapshotBtn) {
+        saveSnapshotBtn.addEventListener('click', () => saveSnapshot());
+    }
+    
+    // Replay controls
+    const replayBtn = document.getElementById('replayBtn');
+    if (replayBtn) {
+        replayBtn.addEventListener('click', () => {
+            if (replayPlayer) {
+                exitReplay();
+            } else {
+                startReplay();
+            }
+        });
+    }
+    
+    const replayPlayBtn = document.getElementById('replayPlayBtn');
+    if (replayPlayBtn) {
+        replayPlayBtn.addEventListener('click', () => {
+            if (!replayPlayer || replayRecording) return;
+            if (replayPlayer.playing) {
+                replayPlayer.pause();
+            } else {
+                replayPlayer.play();
+            }
+        });
+    }
+    
+    const replayScrubber = document.getElementById('replayScrubber');
+    if (replayScrubber) {
+        replayScrubber.addEventListener('input', () => {
+            if (!replayPlayer || replayRecording) return;
+            replayPlayer.pause();
+            replayPlayer.seek(parseInt(replayScrubber.value));
+        });
+    }
+    
+    const replaySpeed = document.getElementById('replaySpeed');
+    if (replaySpeed) {
+        replaySpeed.addEventListener('change', () => {
+            if (replayPlayer) replayPlayer.setSpeed(parseFloat(replaySpeed.value));
+        });
+    }
+    
+    const replayRecordBtn = document.getElementById('replayRecordBtn');
+    if (replayRecordBtn) {
+        replayRecordBtn.addEventListener('click', () => {
+            if (replayRecording) {
+                stopReplayRecording();
+            } else if (replayPlayer) {
+                recordReplayVideo();
+            }
+        });
+    }
+    
+    const replayExitBtn = document.getElementById('replayExitBtn');
+    if (replayExitBtn) {
+        replayExitBtn.addEventListener('click', () => exitReplay());
+    }
+    
     // Clear canvas button
     const clearBtn = document.getElementById('clearBtn');
     if (clearBtn) {
         clearBtn.addEventListener('click', () => {
-            if (confirm('Are you sure you want to clear the canvas? This action cannot be undone.')) {
-                wsClient.emitClearCanvas();
+            const needsVote = roomSettings.clearVoteShare > 0 && Array.from(users.values()).some(u => !u.spectator);
+            const message = needsVote
+                ? 'Ask the room to clear the canvas? It is cleared once enough people approve.'
+                : 'Are you sure you want to clear the canvas? Anyone in the room can undo this for a few minutes.';
+            if (!confirm(message)) return;
+            
+            wsClient.emitClearCanvas((response) => {
+                if (response.error) {
+                    showNotification(response.error);
+                } else if (response.voteId) {
+                    showNotification('Waiting for the room to approve');
+                }
+            });
+        });
+    }
+    
+    // Share of the room that must approve a clear
+    const clearVoteShare = document.getElementById('clearVoteShare');
+    if (clearVoteShare) {
+        clearVoteShare.addEventListener('change', () => {
+            wsClient.emitUpdateSettings({ clearVoteShare: parseFloat(clearVoteShare.value) });
+        });
+    }
+    
+    // Undo the last clear
+    const clearUndoBtn = document.getElementById('clearUndoBtn');
+    if (clearUndoBtn) {
+        clearUndoBtn.addEventListener('click', () => {
+            if (!clearUndo) return;
+            wsClient.emitUndoClear(clearUndo.seq, (response) => {
+                if (response.error) {
+                    hideClearUndo();
+                    showNotification(response.error);
+                }
+            });
+        });
+    }
+    
+    // Owner controls: board lock, password, invite-only and invite links
+    const readOnlyBtn = document.getElementById('readOnlyBtn');
+    if (readOnlyBtn) {
+        readOnlyBtn.addEventListener('click', () => {
+            wsClient.emitSetReadOnly(!roomAccess.readOnly, showRequestError);
+        });
+    }
+    
+    const roomPasswordBtn = document.getElementById('roomPasswordBtn');
+    if (roomPasswordBtn) {
+        roomPasswordBtn.addEventListener('click', () => {
+            const password = prompt(roomAccess.hasPassword
+                ? 'New room password (leave empty to remove it). Everyone here keeps access.'
+                : 'Room password. Everyone here keeps access.');
+            if (password === null || (!password && !roomAccess.hasPassword)) return;
+            
+            wsClient.emitSetRoomPassword(password, (response) => {
+                if (response.error) {
+                    showNotification(response.error);
+                } else {
+                    showNotification(password ? 'Room password set' : 'Room password removed');
+                }
+            });
+        });
+    }
+    
+    const inviteOnlyBtn = document.getElementById('inviteOnlyBtn');
+    if (inviteOnlyBtn) {
+        inviteOnlyBtn.addEventListener('click', () => {
+            wsClient.emitSetInviteOnly(!roomAccess.inviteOnly, showRequestError);
+        });
+    }
+    
+    const createInviteBtn = document.getElementById('createInviteBtn');
+    const inviteRole = document.getElementById('inviteRole');
+    const inviteExpiry = document.getElementById('inviteExpiry');
+    if (createInviteBtn && inviteRole && inviteExpiry) {
+        createInviteBtn.addEventListener('click', () => {
+            wsClient.emitCreateInvite(inviteRole.value, parseInt(inviteExpiry.value, 10), (response) => {
+                if (response.error) {
+                    showNotification(response.error);
+                    return;
+                }
+                
+                const url = `${window.location.origin}${getRoomPath(wsClient.roomId)}?invite=${encodeURIComponent(response.token)}`;
+                const expires = new Date(response.expiresAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+                navigator.clipboard.writeText(url)
+                    .then(() => showNotification(`Invite link copied (works until ${expires})`))
+                    .catch(() => showNotification(url));
+            });
+        });
+    }
+    
+    // Vote on a clear
+    const clearVoteApproveBtn = document.getElementById('clearVoteApproveBtn');
+    const clearVoteRejectBtn = document.getElementById('clearVoteRejectBtn');
+    if (clearVoteApproveBtn && clearVoteRejectBtn) {
+        clearVoteApproveBtn.addEventListener('click', () => castClearVote(true));
+        clearVoteRejectBtn.addEventListener('click', () => castClearVote(false));
+    }
+    
+    // Room switching
+    const roomForm = document.getElementById('roomForm');
+    const roomInput = document.getElementById('roomInput');
+    const roomPasswordInput = document.getElementById('roomPasswordInput');
+    if (roomForm && roomInput && roomPasswordInput) {
+        roomForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const roomId = roomInput.value.trim();
+            const password = roomPasswordInput.value;
+            roomPasswordInput.value = '';
+            if (roomId && roomId !== wsClient.roomId) {
+                switchRoom(roomId, password ? { password } : {});
             }
         });
     }
     
+    // Copy shareable room link
+    const copyLinkBtn = document.getElementById('copyLinkBtn');
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', () => {
+            const url = window.location.origin + getRoomPath(wsClient.roomId);
+            navigator.clipboard.writeText(url)
+                .then(() => showNotification('Room link copied'))
+                .catch(() => showNotification(url));
+        });
+    }
+    
+    // Browser back/forward between rooms
+    window.addEventListener('popstate', () => {
+        wsClient.joinRoom(getRoomFromUrl());
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Ignore shortcuts while typing in form fields
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+        
+        // During a replay only panning and zooming work, and Esc goes back to the live board
+        if (replayPlayer) {
+            if (e.key === 'Escape') {
+                exitReplay();
+                return;
+            }
+            if (e.key !== ' ' && !(e.ctrlKey && e.key === '0')) return;
+        }
+        
         // Ctrl+Z for undo
         if (e.ctrlKey && e.key === 'z' && !e.shiftKey) {
             e.preventDefault();
@@ -264,49 +931,701 @@ function setupUIControls() {
             wsClient.emitRedo();
         }
         
-        // B for brush
-        if (e.key === 'b' && !e.ctrlKey) {
-            setActiveTool('brush');
+        // Hold Space to pan by dragging
+        if (e.key === ' ') {
+            e.preventDefault();
+            if (!canvasManager.spaceHeld) {
+                canvasManager.spaceHeld = true;
+                updateCanvasCursor();
+            }
+            return;
+        }
+        
+        // Ctrl+0 resets the view
+        if (e.ctrlKey && e.key === '0') {
+            e.preventDefault();
+            canvasManager.resetViewport();
+        }
+        
+        // Delete or Backspace removes the selection
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            canvasManager.deleteSelection();
         }
         
-        // E for eraser
-        if (e.key === 'e' && !e.ctrlKey) {
-            setActiveTool('eraser');
+        // Tool shortcuts (B brush, E eraser, Shift+E object eraser, L line, R rectangle, O ellipse, A arrow, T text, S select)
+        if (!e.ctrlKey && !e.metaKey && TOOL_SHORTCUTS[e.key]) {
+            setActiveTool(TOOL_SHORTCUTS[e.key]);
+        }
+    });
+    
+    document.addEventListener('keyup', (e) => {
+        if (e.key === ' ' && canvasManager.spaceHeld) {
+            canvasManager.spaceHeld = false;
+            updateCanvasCursor();
         }
     });
 }
 
 /**
- * Set active drawing tool
+ * Import a JSON board, SVG file or PNG/JPEG image
+ * SVG content and images are centered on a canvas position, or the middle of the view
  */
-function setActiveTool(tool) {
-    canvasManager.setTool(tool);
-    
-    // Update UI
-    const brushBtn = document.getElementById('brushTool');
-    const eraserBtn = document.getElementById('eraserTool');
+function importFile(file, screenPoint = null) {
+    if (replayPlayer) {
+        showNotification('Leave the replay to import files');
+        return;
+    }
     
-    if (brushBtn && eraserBtn) {
-        brushBtn.classList.toggle('active', tool === 'brush');
-        eraserBtn.classList.toggle('active', tool === 'eraser');
+    if (BoardImport.IMAGE_TYPES.includes(file.type)) {
+        importImage(file, screenPoint);
+        return;
     }
     
-    // Update cursor style
-    const canvas = document.getElementById('drawingCanvas');
-    if (canvas) {
-        canvas.style.cursor = tool === 'eraser' ? 'cell' : 'crosshair';
+    const name = file.name.toLowerCase();
+    const isJson = name.endsWith('.json') || file.type === 'application/json';
+    const isSvg = name.endsWith('.svg') || file.type === 'image/svg+xml';
+    if (!isJson && !isSvg) {
+        showNotification(`${file.name} is not a JSON, SVG, PNG or JPEG file`);
+        return;
+    }
+    if (file.size > BoardImport.MAX_IMPORT_BYTES) {
+        showNotification(`${file.name} is too large to import`);
+        return;
     }
+    
+    file.text().then(text => {
+        if (isJson) {
+            // Board exports keep their positions and layers
+            const board = BoardImport.parseJson(text);
+            if (board.skipped > 0) {
+                showNotification(`${board.skipped} elements in ${file.name} could not be read`);
+            }
+            importStrokes(board.strokes, board.layers);
+            return;
+        }
+        
+        // SVG content goes into the active layer
+        if (!canvasManager.isLayerEditable(canvasManager.activeLayerId)) {
+            showNotification('The active layer is hidden or locked');
+            return;
+        }
+        const position = screenPoint ? canvasManager.screenToWorld(screenPoint) : canvasManager.getViewCenter();
+        const strokes = BoardImport.parseSvg(text).map(s => ({ ...s, layerId: canvasManager.activeLayerId }));
+        importStrokes(BoardImport.centerStrokes(strokes, position), []);
+    }).catch(error => {
+        showNotification(`Import failed: ${error.message}`);
+    });
 }
 
 /**
- * Update connection status indicator
+ * Send imported strokes to the room; they show right away and sync like other changes
  */
-function updateConnectionStatus(connected, customMessage) {
-    const statusDot = document.getElementById('statusDot');
-    const statusText = document.getElementById('statusText');
-    
-    if (statusDot) {
-        statusDot.className = 'status-dot ' + (connected ? 'connected' : 'disconnected');
+function importStrokes(strokes, importedLayers) {
+    if (strokes.length === 0) {
+        showNotification('Nothing to import');
+        return;
+    }
+    if (strokes.length > BoardImport.MAX_IMPORT_STROKES) {
+        showNotification(`Imports are limited to ${BoardImport.MAX_IMPORT_STROKES} elements`);
+        return;
+    }
+    
+    wsClient.emitImportStrokes(strokes, importedLayers, canvasManager.activeLayerId);
+    redrawCanvas();
+}
+
+/**
+ * Upload an image and place it on the active layer
+ */
+function importImage(file, screenPoint) {
+    if (file.size > BoardImport.MAX_IMAGE_BYTES) {
+        showNotification(`Images are limited to ${BoardImport.MAX_IMAGE_BYTES / (1024 * 1024)} MB`);
+        return;
+    }
+    if (!wsClient.isConnected()) {
+        showNotification('Images can only be added while connected');
+        return;
+    }
+    
+    const headers = {
+        'Content-Type': file.type,
+        'X-Session-Token': wsClient.loadSessionToken() || '',
+        'X-Room-Id': wsClient.roomId
+    };
+    fetch('/api/images', { method: 'POST', headers, body: file })
+        .then(response => response.json().then(body => {
+            if (!response.ok) throw new Error(body.error || 'Upload failed');
+            return body.src;
+        }))
+        .then(src => canvasManager.loadImage(src).then(() => canvasManager.placeImage(src, screenPoint)))
+        .catch(error => {
+            showNotification(`Image import failed: ${error.message}`);
+        });
+}
+
+/**
+ * Save a blob as a file through a temporary download link
+ */
+function downloadFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Show the room's history as a timelapse instead of the live board
+ * Only this client sees it; room updates keep arriving and show again when the replay ends
+ */
+function startReplay() {
+    if (strokeHistory.length === 0) {
+        showNotification('Nothing to replay yet');
+        return;
+    }
+    
+    canvasManager.setReplayMode(true);
+    replayPlayer = new ReplayPlayer(strokeHistory);
+    replayPlayer.setSpeed(parseFloat(document.getElementById('replaySpeed').value));
+    replayPlayer.onFrame = showReplayFrame;
+    replayPlayer.onStateChange = (playing) => {
+        document.getElementById('replayPlayBtn').textContent = playing ? '⏸' : '▶';
+        
+        // A recording ends with the replay
+        if (!playing && replayRecording && replayPlayer.isFinished()) {
+            const recording = replayRecording;
+            setTimeout(() => {
+                if (replayRecording === recording) stopReplayRecording();
+            }, REPLAY_VIDEO_END_HOLD);
+        }
+    };
+    
+    document.getElementById('replayScrubber').max = Math.ceil(replayPlayer.duration);
+    document.getElementById('replayBar').hidden = false;
+    document.body.classList.add('replaying');
+    
+    replayPlayer.play();
+}
+
+/**
+ * Leave the replay and show the live board again
+ */
+function exitReplay() {
+    if (!replayPlayer) return;
+    
+    if (replayRecording) {
+        replayRecording.cancelled = true;
+        stopReplayRecording();
+    }
+    
+    replayPlayer.stop();
+    replayPlayer = null;
+    canvasManager.setReplayMode(false);
+    
+    document.getElementById('replayBar').hidden = true;
+    document.body.classList.remove('replaying');
+    redrawCanvas();
+}
+
+/**
+ * Draw a replay frame, and record it if a video is being made
+ */
+function showReplayFrame(strokes, time) {
+    canvasManager.redrawAllStrokes(strokes);
+    
+    if (replayRecording) {
+        canvasManager.renderBoard(replayRecording.canvas, strokes, replayRecording.bounds);
+    }
+    
+    document.getElementById('replayScrubber').value = Math.round(time);
+    document.getElementById('replayTime').textContent =
+        `${formatReplayTime(time)} / ${formatReplayTime(replayPlayer.duration)}`;
+}
+
+/**
+ * Format replay time (ms) as m:ss
+ */
+function formatReplayTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Record the replay from the start as a WebM video of the whole board
+ * Frames are rendered to a separate canvas, so panning and zooming do not show up in the video
+ */
+function recordReplayVideo() {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => window.MediaRecorder && MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        showNotification('This browser cannot record WebM video');
+        return;
+    }
+    
+    // Frame the finished board so nothing moves during the video
+    const bounds = canvasManager.getBoardBounds(replayPlayer.getFrameStrokes(replayPlayer.duration));
+    const scale = Math.min(1, REPLAY_VIDEO_WIDTH / bounds.width, REPLAY_VIDEO_HEIGHT / bounds.height);
+    
+    // Video encoders need even dimensions
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(2, Math.round(bounds.width * scale / 2) * 2);
+    canvas.height = Math.max(2, Math.round(bounds.height * scale / 2) * 2);
+    
+    const stream = canvas.captureStream(30);
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    const recording = { canvas, bounds, recorder, cancelled: false, roomId: wsClient.roomId };
+    
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        if (!recording.cancelled) {
+            downloadFile(new Blob(chunks, { type: 'video/webm' }), `${recording.roomId}-replay.webm`);
+        }
+    };
+    
+    replayRecording = recording;
+    setReplayRecordingUi(true);
+    
+    replayPlayer.pause();
+    replayPlayer.seek(0);
+    recorder.start();
+    replayPlayer.play();
+}
+
+/**
+ * Finish the video being recorded; it is downloaded unless the recording was cancelled
+ */
+function stopReplayRecording() {
+    if (!replayRecording) return;
+    
+    if (replayRecording.recorder.state !== 'inactive') {
+        replayRecording.recorder.stop();
+    }
+    replayRecording = null;
+    setReplayRecordingUi(false);
+}
+
+/**
+ * Show whether a replay video is being recorded
+ * Playback controls are locked meanwhile so the video plays straight through
+ */
+function setReplayRecordingUi(recording) {
+    const recordBtn = document.getElementById('replayRecordBtn');
+    recordBtn.classList.toggle('recording', recording);
+    recordBtn.textContent = recording ? '⏹ Stop' : '⏺ WebM';
+    
+    document.getElementById('replayPlayBtn').disabled = recording;
+    document.getElementById('replayScrubber').disabled = recording;
+    if (recording) showNotification('Recording replay...');
+}
+
+/**
+ * Read the room ID from a /r/<roomId> URL
+ */
+function getRoomFromUrl() {
+    const match = window.location.pathname.match(/^\/r\/([^/]+)/);
+    return match ? decodeURIComponent(match[1]) : DEFAULT_ROOM;
+}
+
+/**
+ * Build the shareable URL path for a room
+ */
+function getRoomPath(roomId) {
+    return roomId === DEFAULT_ROOM ? '/' : `/r/${encodeURIComponent(roomId)}`;
+}
+
+/**
+ * Get the invite token from an invite link, as join credentials
+ */
+function getInviteFromUrl() {
+    const invite = new URLSearchParams(window.location.search).get('invite');
+    return invite ? { invite } : {};
+}
+
+/**
+ * Switch to another room without reloading the page
+ */
+function switchRoom(roomId, credentials = {}) {
+    history.pushState(null, '', getRoomPath(roomId));
+    wsClient.joinRoom(roomId, credentials);
+}
+
+/**
+ * Update room name display and canonical URL
+ */
+function updateRoomInfo(roomId) {
+    const roomNameEl = document.getElementById('roomName');
+    const roomInput = document.getElementById('roomInput');
+    
+    if (roomNameEl) {
+        roomNameEl.textContent = roomId;
+    }
+    
+    if (roomInput) {
+        roomInput.value = roomId;
+    }
+    
+    // The server may normalize the requested name; a used invite token is dropped from the URL
+    const path = getRoomPath(roomId) + (viewMode ? '?view=1' : '');
+    if (window.location.pathname + window.location.search !== path) {
+        history.replaceState(null, '', path);
+    }
+    
+    document.title = `${roomId} - Collaborative Canvas`;
+}
+
+/**
+ * Set active drawing tool
+ */
+function setActiveTool(tool) {
+    canvasManager.setTool(tool);
+    
+    // Update UI
+    document.querySelectorAll('.tool-btn[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+    
+    updateCanvasCursor();
+}
+
+/**
+ * Set the canvas cursor for the active tool, or a hand while Space is held
+ */
+function updateCanvasCursor() {
+    const canvas = document.getElementById('drawingCanvas');
+    if (!canvas) return;
+    
+    const cursors = { eraser: 'cell', 'object-eraser': 'cell', text: 'text', select: 'default' };
+    canvas.style.cursor = canvasManager.spaceHeld ? 'grab' : cursors[canvasManager.tool] || 'crosshair';
+}
+
+/**
+ * Show the current zoom as a percentage
+ */
+function updateZoomLevel(scale) {
+    const zoomResetBtn = document.getElementById('zoomResetBtn');
+    if (zoomResetBtn) {
+        zoomResetBtn.textContent = Math.round(scale * 100) + '%';
+    }
+}
+
+/**
+ * Replace the room's layers, keeping the active layer if it still exists
+ */
+function setRoomLayers(newLayers) {
+    layers = newLayers;
+    canvasManager.setLayers(layers);
+    
+    if (layers.length > 0 && !layers.some(l => l.id === canvasManager.activeLayerId)) {
+        canvasManager.setActiveLayer(layers[layers.length - 1].id);
+    }
+    updateLayersPanel();
+}
+
+/**
+ * Choose the layer new strokes go into
+ */
+function setActiveLayer(layerId) {
+    canvasManager.setActiveLayer(layerId);
+    updateLayersPanel();
+}
+
+/**
+ * Rebuild the layers panel, top layer first
+ */
+function updateLayersPanel() {
+    const layersListEl = document.getElementById('layersList');
+    if (!layersListEl) return;
+    
+    layersListEl.innerHTML = '';
+    
+    // People who can't draw here can still pick a layer, but not change one
+    const editable = !getDrawRestriction();
+    
+    layers.forEach((layer, index) => {
+        const layerEl = document.createElement('div');
+        layerEl.className = 'layer-item' + (layer.id === canvasManager.activeLayerId ? ' active' : '');
+        if (!layer.visible) layerEl.classList.add('hidden');
+        layerEl.addEventListener('click', () => setActiveLayer(layer.id));
+        
+        const addButton = (icon, title, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'layer-btn';
+            button.textContent = icon;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            layerEl.appendChild(button);
+        };
+        
+        const nameEl = document.createElement('span');
+        nameEl.className = 'layer-name';
+        nameEl.textContent = layer.name;
+        
+        if (!editable) {
+            layerEl.appendChild(nameEl);
+            layersListEl.prepend(layerEl);
+            return;
+        }
+        
+        addButton(layer.visible ? '👁️' : '🚫', layer.visible ? 'Hide layer' : 'Show layer', () => {
+            wsClient.emitUpdateLayer(layer.id, { visible: !layer.visible });
+        });
+        addButton(layer.locked ? '🔒' : '🔓', layer.locked ? 'Unlock layer' : 'Lock layer', () => {
+            wsClient.emitUpdateLayer(layer.id, { locked: !layer.locked });
+        });
+        
+        // Double-click the name to rename
+        nameEl.title = 'Double-click to rename';
+        nameEl.addEventListener('dblclick', () => {
+            const name = prompt('Layer name', layer.name);
+            if (name && name.trim() && name.trim() !== layer.name) {
+                wsClient.emitUpdateLayer(layer.id, { name: name.trim() });
+            }
+        });
+        layerEl.appendChild(nameEl);
+        
+        if (index < layers.length - 1) {
+            addButton('▲', 'Move up', () => wsClient.emitMoveLayer(layer.id, index + 1));
+        }
+        if (index > 0) {
+            addButton('▼', 'Move down', () => wsClient.emitMoveLayer(layer.id, index - 1));
+        }
+        
+        // Top layer is listed first
+        layersListEl.prepend(layerEl);
+    });
+}
+
+/**
+ * Apply room settings and show them in the toolbar
+ */
+function setRoomSettings(settings) {
+    roomSettings = settings || {};
+    
+    const clearVoteShare = document.getElementById('clearVoteShare');
+    if (clearVoteShare && roomSettings.clearVoteShare !== undefined) {
+        clearVoteShare.value = String(roomSettings.clearVoteShare);
+    }
+}
+
+/**
+ * Offer to undo a clear until its undo window closes
+ */
+function showClearUndo({ seq, username, undoWindow }) {
+    hideClearUndo();
+    
+    clearUndo = { seq, timer: setTimeout(hideClearUndo, undoWindow) };
+    document.getElementById('clearUndoText').textContent = `${username || 'Someone'} cleared the canvas`;
+    document.getElementById('clearUndoBanner').hidden = false;
+}
+
+/**
+ * Stop offering to undo a clear
+ */
+function hideClearUndo() {
+    if (clearUndo) {
+        clearTimeout(clearUndo.timer);
+        clearUndo = null;
+    }
+    document.getElementById('clearUndoBanner').hidden = true;
+}
+
+/**
+ * Show the open vote to clear and its current count
+ */
+function updateClearVote({ approvals, required }) {
+    const who = clearVote.ownRequest ? 'You asked' : `${clearVote.username} asks`;
+    document.getElementById('clearVoteText').textContent =
+        `${who} to clear the canvas (${approvals}/${required} approvals)`;
+    
+    // The requester has approved by asking
+    const canVote = !clearVote.ownRequest && !clearVote.voted;
+    document.getElementById('clearVoteApproveBtn').hidden = !canVote;
+    document.getElementById('clearVoteRejectBtn').hidden = !canVote;
+    document.getElementById('clearVoteBanner').hidden = false;
+}
+
+/**
+ * Approve or reject the open vote to clear
+ */
+function castClearVote(approve) {
+    if (!clearVote) return;
+    
+    clearVote.voted = true;
+    document.getElementById('clearVoteApproveBtn').hidden = true;
+    document.getElementById('clearVoteRejectBtn').hidden = true;
+    wsClient.emitClearVote(clearVote.voteId, approve);
+}
+
+/**
+ * Close the vote prompt
+ */
+function hideClearVote() {
+    clearVote = null;
+    document.getElementById('clearVoteBanner').hidden = true;
+}
+
+/**
+ * Fetch the room's snapshot list
+ */
+function loadSnapshots() {
+    wsClient.listSnapshots((response) => {
+        if (!response.error) setSnapshots(response.snapshots);
+    });
+}
+
+/**
+ * Replace the snapshot list and refresh the panel
+ */
+function setSnapshots(newSnapshots) {
+    snapshots = newSnapshots;
+    updateSnapshotsPanel();
+}
+
+/**
+ * Save the current board under a name the user picks
+ */
+function saveSnapshot() {
+    const name = prompt('Snapshot name', `Snapshot ${snapshots.length + 1}`);
+    if (name === null) return;
+    
+    wsClient.emitSaveSnapshot(name.trim(), (response) => {
+        showNotification(response.error || `Saved snapshot "${response.snapshot.name}"`);
+    });
+}
+
+/**
+ * Replace the board with a snapshot for everyone, after asking
+ */
+function restoreSnapshot(snapshot) {
+    if (!confirm(`Restore "${snapshot.name}" for everyone in the room? The current board and undo history will be replaced.`)) return;
+    
+    wsClient.emitRestoreSnapshot(snapshot.id, (response) => {
+        if (response.error) showNotification(response.error);
+    });
+}
+
+/**
+ * Copy a snapshot into a new room and go there
+ */
+function forkSnapshot(snapshot) {
+    const roomId = prompt('Name of the new room (leave empty to pick one automatically)', '');
+    if (roomId === null) return;
+    
+    wsClient.emitForkSnapshot(snapshot.id, roomId.trim(), (response) => {
+        if (response.error) {
+            showNotification(response.error);
+            return;
+        }
+        switchRoom(response.roomId);
+        showNotification(`Forked "${snapshot.name}" into room ${response.roomId}`);
+    });
+}
+
+/**
+ * Delete a snapshot, after asking
+ */
+function deleteSnapshot(snapshot) {
+    if (!confirm(`Delete snapshot "${snapshot.name}"?`)) return;
+    
+    wsClient.emitDeleteSnapshot(snapshot.id, (response) => {
+        if (response.error) showNotification(response.error);
+    });
+}
+
+/**
+ * Update the snapshots panel, newest first
+ */
+function updateSnapshotsPanel() {
+    const snapshotsListEl = document.getElementById('snapshotsList');
+    if (!snapshotsListEl) return;
+    
+    snapshotsListEl.querySelectorAll('.snapshot-thumb').forEach(img => URL.revokeObjectURL(img.src));
+    snapshotsListEl.innerHTML = '';
+    
+    for (const snapshot of snapshots) {
+        const snapshotEl = document.createElement('div');
+        snapshotEl.className = 'snapshot-item';
+        
+        // Click the thumbnail to see the snapshot full size
+        const thumbnailUrl = `/api/rooms/${encodeURIComponent(wsClient.roomId)}/snapshots/${encodeURIComponent(snapshot.id)}/thumbnail.svg`;
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'snapshot-thumb';
+        thumbnail.alt = '';
+        thumbnail.title = 'Open full size';
+        thumbnail.addEventListener('click', () => window.open(thumbnail.src, '_blank'));
+        loadThumbnail(thumbnail, thumbnailUrl);
+        snapshotEl.appendChild(thumbnail);
+        
+        const infoEl = document.createElement('div');
+        infoEl.className = 'snapshot-info';
+        
+        const nameEl = document.createElement('span');
+        nameEl.className = 'snapshot-name';
+        nameEl.textContent = snapshot.name;
+        nameEl.title = snapshot.createdBy ? `Saved by ${snapshot.createdBy}` : snapshot.name;
+        infoEl.appendChild(nameEl);
+        
+        const metaEl = document.createElement('span');
+        metaEl.className = 'snapshot-meta';
+        const time = new Date(snapshot.createdAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        metaEl.textContent = `${snapshot.strokeCount} element${snapshot.strokeCount === 1 ? '' : 's'} · ${time}`;
+        infoEl.appendChild(metaEl);
+        
+        const actionsEl = document.createElement('div');
+        actionsEl.className = 'snapshot-actions';
+        const addButton = (icon, title, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'layer-btn';
+            button.textContent = icon;
+            button.title = title;
+            button.addEventListener('click', onClick);
+            actionsEl.appendChild(button);
+        };
+        
+        // Anyone can fork, but only people who can draw here change the room's board or snapshots
+        const editable = !getDrawRestriction();
+        if (editable) addButton('↺', 'Restore for everyone', () => restoreSnapshot(snapshot));
+        addButton('⑂', 'Fork into a new room', () => forkSnapshot(snapshot));
+        if (editable) addButton('🗑️', 'Delete snapshot', () => deleteSnapshot(snapshot));
+        infoEl.appendChild(actionsEl);
+        
+        snapshotEl.appendChild(infoEl);
+        snapshotsListEl.prepend(snapshotEl);
+    }
+}
+
+/**
+ * Load a snapshot thumbnail with this session's token, which protected rooms ask for and an <img> can't send
+ */
+function loadThumbnail(img, url) {
+    fetch(url, { headers: { 'X-Session-Token': wsClient.loadSessionToken() || '' } })
+        .then(response => response.ok ? response.blob() : null)
+        .then(blob => {
+            if (blob) img.src = URL.createObjectURL(blob);
+        })
+        .catch(() => {});
+}
+
+/**
+ * Update connection status indicator
+ */
+function updateConnectionStatus(connected, customMessage) {
+    const statusDot = document.getElementById('statusDot');
+    const statusText = document.getElementById('statusText');
+    
+    if (statusDot) {
+        statusDot.className = 'status-dot ' + (connected ? 'connected' : 'disconnected');
     }
     
     if (statusText) {
@@ -335,7 +1654,85 @@ function updateUserInfo(username, color) {
 }
 
 /**
- * Update the list of online users
+ * Get a user's role in the current room: 'owner', 'editor' or 'viewer'
+ */
+function getUserRole(userId) {
+    if (userId === roomAccess.ownerId) return 'owner';
+    return roomAccess.roles[userId] || 'editor';
+}
+
+/**
+ * Get why this user can't change the board, or null if they can (mirrors the server's check)
+ */
+function getDrawRestriction() {
+    const role = getUserRole(wsClient.userId);
+    
+    if (viewMode) return 'This screen is view-only';
+    if (role === 'owner') return null;
+    if (role === 'viewer') return 'You are a viewer in this room';
+    if (roomAccess.muted.includes(wsClient.userId)) return 'The room owner muted your drawing';
+    if (roomAccess.readOnly) return 'The board is read-only';
+    return null;
+}
+
+/**
+ * Apply the room's roles, updating what this user can do
+ * When announce is set, changes to this user's own permissions are shown as notifications
+ */
+function setRoomAccess(access, announce) {
+    const wasOwner = getUserRole(wsClient.userId) === 'owner';
+    const previousRestriction = getDrawRestriction();
+    
+    roomAccess = access || { ownerId: null, readOnly: false, roles: {}, muted: [] };
+    
+    const isOwner = getUserRole(wsClient.userId) === 'owner' && !viewMode;
+    const restriction = getDrawRestriction();
+    canvasManager.setEditable(!restriction);
+    
+    // Editing controls follow the canvas
+    ['undoBtn', 'redoBtn', 'clearBtn', 'clearUndoBtn', 'importBtn', 'addLayerBtn', 'saveSnapshotBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) button.disabled = !!restriction;
+    });
+    const clearVoteShare = document.getElementById('clearVoteShare');
+    if (clearVoteShare) clearVoteShare.disabled = !isOwner;
+    
+    const ownerControls = document.getElementById('ownerControls');
+    if (ownerControls) {
+        ownerControls.hidden = !isOwner;
+        
+        const readOnlyBtn = document.getElementById('readOnlyBtn');
+        readOnlyBtn.classList.toggle('active', roomAccess.readOnly);
+        readOnlyBtn.querySelector('.read-only-label').textContent = roomAccess.readOnly ? 'Unlock board' : 'Lock board';
+        
+        const roomPasswordBtn = document.getElementById('roomPasswordBtn');
+        roomPasswordBtn.classList.toggle('active', !!roomAccess.hasPassword);
+        roomPasswordBtn.querySelector('.room-password-label').textContent = roomAccess.hasPassword ? 'Change password' : 'Set password';
+        
+        document.getElementById('inviteOnlyBtn').classList.toggle('active', !!roomAccess.inviteOnly);
+    }
+    
+    const accessInfo = document.getElementById('accessInfo');
+    if (accessInfo) {
+        accessInfo.textContent = isOwner ? 'You own this room' : restriction || '';
+    }
+    
+    if (announce) {
+        if (isOwner && !wasOwner) {
+            showNotification('You are now the room owner');
+        } else if (restriction !== previousRestriction) {
+            showNotification(restriction || 'You can draw again');
+        }
+    }
+    
+    updateUsersList();
+    updateLayersPanel();
+    updateSnapshotsPanel();
+}
+
+/**
+ * Update the list of online users, with moderation controls for the room owner
+ * Spectators are only counted
  */
 function updateUsersList() {
     const usersListEl = document.getElementById('usersList');
@@ -343,17 +1740,98 @@ function updateUsersList() {
     
     usersListEl.innerHTML = '';
     
+    const isOwner = getUserRole(wsClient.userId) === 'owner' && !viewMode;
+    
+    // Counts include this user
+    const watching = Array.from(users.values()).filter(u => u.spectator).length;
+    const spectatorCount = watching + (viewMode ? 1 : 0);
+    const drawerCount = users.size - watching + (viewMode ? 0 : 1);
+    
+    const spectatorCountEl = document.getElementById('spectatorCount');
+    if (spectatorCountEl) {
+        spectatorCountEl.textContent = spectatorCount > 0 ? `👀 ${spectatorCount} watching` : '';
+    }
+    
+    // The view-only screen shows who is around instead of a toolbar
+    const viewBadge = document.getElementById('viewBadge');
+    if (viewBadge && viewMode) {
+        viewBadge.hidden = !wsClient.roomId;
+        viewBadge.textContent = `${wsClient.roomId} · ${drawerCount} drawing · ${spectatorCount} watching`;
+    }
+    
     users.forEach((user, id) => {
+        if (user.spectator) return;
+        
+        const role = getUserRole(id);
+        const muted = roomAccess.muted.includes(id);
+        
         const userEl = document.createElement('div');
         userEl.className = 'user-item';
-        userEl.innerHTML = `
-            <span class="user-color" style="background-color: ${user.color}"></span>
-            <span class="user-name">${user.username}</span>
-        `;
+        
+        const colorEl = document.createElement('span');
+        colorEl.className = 'user-color';
+        colorEl.style.backgroundColor = user.color;
+        userEl.appendChild(colorEl);
+        
+        const nameEl = document.createElement('span');
+        nameEl.className = 'user-name';
+        nameEl.textContent = user.username;
+        userEl.appendChild(nameEl);
+        
+        const badges = [];
+        if (role === 'owner') badges.push(['👑', 'Room owner']);
+        if (role === 'viewer') badges.push(['👁️', 'Viewer']);
+        if (muted) badges.push(['🔇', 'Drawing muted']);
+        for (const [icon, title] of badges) {
+            const badgeEl = document.createElement('span');
+            badgeEl.className = 'user-badge';
+            badgeEl.textContent = icon;
+            badgeEl.title = title;
+            userEl.appendChild(badgeEl);
+        }
+        
+        if (isOwner) {
+            const actionsEl = document.createElement('span');
+            actionsEl.className = 'user-actions';
+            
+            const addButton = (icon, title, onClick) => {
+                const button = document.createElement('button');
+                button.className = 'layer-btn';
+                button.textContent = icon;
+                button.title = title;
+                button.addEventListener('click', onClick);
+                actionsEl.appendChild(button);
+            };
+            
+            addButton(muted ? '🔊' : '🔇', muted ? 'Let them draw' : 'Mute their drawing', () => {
+                wsClient.emitMuteUser(id, !muted, showRequestError);
+            });
+            addButton(role === 'viewer' ? '✏️' : '👁️', role === 'viewer' ? 'Make editor' : 'Make viewer', () => {
+                wsClient.emitSetRole(id, role === 'viewer' ? 'editor' : 'viewer', showRequestError);
+            });
+            addButton('👑', 'Make room owner', () => {
+                if (!confirm(`Make ${user.username} the owner of this room? You will become an editor.`)) return;
+                wsClient.emitTransferOwnership(id, showRequestError);
+            });
+            addButton('🚪', 'Remove from room', () => {
+                if (!confirm(`Remove ${user.username} from this room? They can't come back for a few minutes.`)) return;
+                wsClient.emitKickUser(id, showRequestError);
+            });
+            
+            userEl.appendChild(actionsEl);
+        }
+        
         usersListEl.appendChild(userEl);
     });
 }
 
+/**
+ * Show the error of a failed server request, if it failed
+ */
+function showRequestError(response) {
+    if (response.error) showNotification(response.error);
+}
+
 /**
  * Show notification message
  */
@@ -391,9 +1869,11 @@ function startCursorRenderLoop() {
         
         for (const [userId, cursor] of cursors) {
             const cursorEl = document.createElement('div');
+            // Cursors arrive in world coordinates
+            const position = canvasManager.worldToScreen(cursor);
             cursorEl.className = 'remote-cursor';
-            cursorEl.style.left = cursor.x + 'px';
-            cursorEl.style.top = cursor.y + 'px';
+            cursorEl.style.left = position.x + 'px';
+            cursorEl.style.top = position.y + 'px';
             cursorEl.style.borderColor = cursor.color;
             
             const labelEl = document.createElement('span');
@@ -0,0 +1,178 @@
+/**
+ * Replay Module
+ * Plays a room's history back as a timelapse, locally and without changing the room
+ */
+
+// Longest pause (ms) between two strokes in a replay; longer breaks are shortened
+const REPLAY_MAX_GAP = 2000;
+
+// Time (ms) a freehand stroke takes to draw per point, and at most
+const REPLAY_POINT_TIME = 8;
+const REPLAY_MAX_STROKE_TIME = 1500;
+
+class ReplayPlayer {
+    /**
+     * @param {Array} strokes - Room history in stacking order
+     */
+    constructor(strokes) {
+        // One entry per stroke in stacking order ({ stroke, start, end }), times in replay ms
+        this.timeline = buildTimeline(strokes);
+        this.duration = this.timeline.reduce((max, entry) => Math.max(max, entry.end), 0);
+        
+        // Playback state
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.frameRequest = null;
+        this.lastFrameAt = null;
+        
+        // Callback functions
+        this.onFrame = null;
+        this.onStateChange = null;
+    }
+    
+    /**
+     * Start or resume playback, from the beginning if it had finished
+     */
+    play() {
+        if (this.playing) return;
+        if (this.time >= this.duration) {
+            this.time = 0;
+        }
+        
+        this.playing = true;
+        this.lastFrameAt = performance.now();
+        this.frameRequest = requestAnimationFrame((now) => this.tick(now));
+        this.notifyStateChange();
+        this.renderFrame();
+    }
+    
+    /**
+     * Pause playback at the current time
+     */
+    pause() {
+        if (!this.playing) return;
+        
+        this.playing = false;
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Jump to a time (ms of replay time)
+     */
+    seek(time) {
+        this.time = Math.max(0, Math.min(time, this.duration));
+        this.lastFrameAt = performance.now();
+        this.renderFrame();
+    }
+    
+    /**
+     * Set the playback speed multiplier
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+    
+    /**
+     * Stop playback for good
+     */
+    stop() {
+        this.pause();
+        this.onFrame = null;
+        this.onStateChange = null;
+    }
+    
+    /**
+     * Advance playback by the time since the last frame
+     */
+    tick(now) {
+        if (!this.playing) return;
+        
+        this.time = Math.min(this.duration, this.time + (now - this.lastFrameAt) * this.speed);
+        this.lastFrameAt = now;
+        this.renderFrame();
+        
+        if (this.time >= this.duration) {
+            this.pause();
+            return;
+        }
+        this.frameRequest = requestAnimationFrame((next) => this.tick(next));
+    }
+    
+    /**
+     * Get the strokes shown at a time, in stacking order
+     * Freehand strokes still being drawn are cut short
+     */
+    getFrameStrokes(time = this.time) {
+        const strokes = [];
+        
+        for (const { stroke, start, end } of this.timeline) {
+            if (time < end && time <= start) continue;
+            
+            if (time >= end) {
+                strokes.push(stroke);
+            } else {
+                const count = Math.max(1, Math.ceil(stroke.points.length * (time - start) / (end - start)));
+                strokes.push({ ...stroke, points: stroke.points.slice(0, count) });
+            }
+        }
+        return strokes;
+    }
+    
+    /**
+     * Check whether playback has reached the end
+     */
+    isFinished() {
+        return this.time >= this.duration;
+    }
+    
+    /**
+     * Hand the current frame to the renderer
+     */
+    renderFrame() {
+        if (this.onFrame) {
+            this.onFrame(this.getFrameStrokes(), this.time);
+        }
+    }
+    
+    /**
+     * Report that playback started or stopped
+     */
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange(this.playing);
+        }
+    }
+}
+
+/**
+ * Place strokes on a replay timeline in the order they were created
+ * Each stroke finishes at its (gap-shortened) creation time; freehand strokes take time to draw
+ */
+function buildTimeline(strokes) {
+    const byCreation = strokes
+        .map((stroke, index) => ({ stroke, index, created: stroke.createdAt || stroke.timestamp || 0 }))
+        .sort((a, b) => a.created - b.created || a.index - b.index);
+    
+    const entries = new Array(strokes.length);
+    let previous = null;
+    let time = 0;
+    
+    for (const { stroke, index, created } of byCreation) {
+        const freehand = stroke.tool === 'brush' || stroke.tool === 'eraser';
+        const drawTime = freehand ? Math.min(stroke.points.length * REPLAY_POINT_TIME, REPLAY_MAX_STROKE_TIME) : 0;
+        
+        const gap = previous === null ? drawTime : Math.min(Math.max(created - previous, 0), REPLAY_MAX_GAP);
+        time += gap;
+        previous = created;
+        
+        entries[index] = { stroke, start: Math.max(0, time - drawTime), end: time };
+    }
+    
+    return entries;
+}
+
+// Export for use in main.js
+window.ReplayPlayer = ReplayPlayer;
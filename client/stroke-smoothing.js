@@ -0,0 +1,309 @@
+/**
+ * Stroke Smoothing - Draws freehand strokes as smooth curves, wider where the pen pressed harder, and simplifies their points
+ * Shared by the browser (window.StrokeSmoothing) and the server (require) so strokes look and simplify the same everywhere
+ */
+
+(function(root) {
+    // Freehand points may move at most this share of the stroke width when simplified...
+    const SIMPLIFY_WIDTH_RATIO = 0.15;
+    
+    // ...but always at least this far (px), so thin lines still shed their noise
+    const MIN_SIMPLIFY_TOLERANCE = 0.3;
+    
+    // Points simplified together at most; longer strokes are simplified a run at a time, which
+    // keeps the worst case (every point a corner) linear in the stroke length
+    const SIMPLIFY_RUN = 64;
+    
+    // Tools whose strokes are freehand point lists
+    const FREEHAND_TOOLS = ['brush', 'eraser'];
+    
+    // Pen points carry a pressure from 0 to 1 and are drawn from MIN_PRESSURE_WIDTH to MIN + RANGE times the
+    // stroke width; 0.5, which the Pointer Events spec reports for devices without pressure, draws the width as chosen
+    const MIN_PRESSURE_WIDTH = 0.25;
+    const PRESSURE_WIDTH_RANGE = 1.5;
+    
+    // Pen strokes are drawn in pieces whose width changes by at most this much (px) from one to the next,
+    // and at most this many pieces between two points
+    const PRESSURE_WIDTH_STEP = 0.5;
+    const MAX_PRESSURE_PIECES = 16;
+    
+    /**
+     * Get the point halfway between two points
+     */
+    function midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+    
+    /**
+     * Get the distance from a point to the segment between two others
+     * Pressure counts as a third coordinate, pressureScale px per unit, so changes in width aren't flattened away
+     */
+    function distanceToSegment(point, a, b, pressureScale) {
+        const za = (a.pressure || 0) * pressureScale;
+        const zp = (point.pressure || 0) * pressureScale;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const dz = (b.pressure || 0) * pressureScale - za;
+        const lengthSquared = dx * dx + dy * dy + dz * dz;
+        const t = lengthSquared === 0
+            ? 0
+            : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy + (zp - za) * dz) / lengthSquared));
+        const ex = point.x - (a.x + t * dx);
+        const ey = point.y - (a.y + t * dy);
+        const ez = zp - (za + t * dz);
+        return Math.sqrt(ex * ex + ey * ey + ez * ez);
+    }
+    
+    /**
+     * Drop points that lie within a tolerance of the line through their neighbours (Ramer-Douglas-Peucker)
+     * The first and last points (and those between runs of SIMPLIFY_RUN points) are always kept
+     */
+    function simplify(points, tolerance, pressureScale = 0) {
+        if (points.length <= 2) return points.slice();
+        
+        // Ranges still to check, as [first, last] index pairs; a stack instead of recursion keeps long strokes safe
+        const keep = new Uint8Array(points.length);
+        const ranges = [];
+        for (let first = 0; first < points.length - 1; first += SIMPLIFY_RUN) {
+            const last = Math.min(first + SIMPLIFY_RUN, points.length - 1);
+            keep[first] = 1;
+            keep[last] = 1;
+            ranges.push([first, last]);
+        }
+        
+        while (ranges.length > 0) {
+            const [first, last] = ranges.pop();
+            
+            let farthest = -1;
+            let maxDistance = tolerance;
+            for (let i = first + 1; i < last; i++) {
+                const distance = distanceToSegment(points[i], points[first], points[last], pressureScale);
+                if (distance > maxDistance) {
+                    farthest = i;
+                    maxDistance = distance;
+                }
+            }
+            
+            if (farthest !== -1) {
+                keep[farthest] = 1;
+                ranges.push([first, farthest], [farthest, last]);
+            }
+        }
+        
+        return points.filter((point, i) => keep[i]);
+    }
+    
+    /**
+     * Check whether a stroke is a freehand point list
+     */
+    function isFreehand(stroke) {
+        return FREEHAND_TOOLS.includes(stroke.tool);
+    }
+    
+    /**
+     * Check whether a stroke's points carry pen pressure
+     */
+    function hasPressure(stroke) {
+        return Array.isArray(stroke.points) && stroke.points.length > 0 && typeof stroke.points[0].pressure === 'number';
+    }
+    
+    /**
+     * Get the line width at a point of a stroke; points without pressure use the stroke width
+     */
+    function getPointWidth(stroke, point) {
+        const width = stroke.width || 0;
+        if (typeof point.pressure !== 'number') return width;
+        return width * (MIN_PRESSURE_WIDTH + PRESSURE_WIDTH_RANGE * point.pressure);
+    }
+    
+    /**
+     * Get the widest a stroke is drawn anywhere, for bounds and hit-testing
+     */
+    function getMaxWidth(stroke) {
+        if (!hasPressure(stroke)) return stroke.width || 0;
+        return stroke.points.reduce((max, point) => Math.max(max, getPointWidth(stroke, point)), 0);
+    }
+    
+    /**
+     * Get how far a stroke's points may move when it is simplified
+     */
+    function getTolerance(stroke) {
+        return Math.max((stroke.width || 0) * SIMPLIFY_WIDTH_RATIO, MIN_SIMPLIFY_TOLERANCE);
+    }
+    
+    /**
+     * Get a copy of a freehand stroke with its points simplified; other strokes are returned as they are
+     */
+    function simplifyStroke(stroke) {
+        if (!isFreehand(stroke) || !Array.isArray(stroke.points)) return stroke;
+        
+        // A change in pressure moves each edge of the line by half the change in width
+        const pressureScale = hasPressure(stroke) ? (stroke.width || 0) * PRESSURE_WIDTH_RANGE / 2 : 0;
+        return { ...stroke, points: simplify(stroke.points, getTolerance(stroke), pressureScale) };
+    }
+    
+    /**
+     * Trace a smoothed line through points onto a canvas path
+     * Each point is the control point of a quadratic curve between the midpoints on either side of it
+     */
+    function traceSmoothPath(ctx, points) {
+        ctx.moveTo(points[0].x, points[0].y);
+        if (points.length < 3) {
+            const end = points[points.length - 1];
+            ctx.lineTo(end.x, end.y);
+            return;
+        }
+        
+        const start = midpoint(points[0], points[1]);
+        ctx.lineTo(start.x, start.y);
+        for (let i = 1; i < points.length - 1; i++) {
+            const end = midpoint(points[i], points[i + 1]);
+            ctx.quadraticCurveTo(points[i].x, points[i].y, end.x, end.y);
+        }
+        
+        const last = points[points.length - 1];
+        ctx.lineTo(last.x, last.y);
+    }
+    
+    /**
+     * Get the piece of a smoothed line that the point at index adds ({ from, control, to }; control is null for the
+     * straight pieces at either end)
+     * Pieces 1 to points.length - 1, added as points arrive, then points.length for the tail, make up the same line as
+     * traceSmoothPath, so strokes can be drawn live without redrawing them
+     */
+    function getSmoothSegment(points, index) {
+        if (index === 1) {
+            return { from: points[0], control: null, to: midpoint(points[0], points[1]) };
+        }
+        if (index === points.length) {
+            return { from: midpoint(points[index - 2], points[index - 1]), control: null, to: points[index - 1] };
+        }
+        return {
+            from: midpoint(points[index - 2], points[index - 1]),
+            control: points[index - 1],
+            to: midpoint(points[index - 1], points[index])
+        };
+    }
+    
+    /**
+     * Get the line width where the piece at index starts, or ends if end is set
+     * Midpoints take the average of the points on either side, so neighbouring pieces meet at the same width
+     */
+    function getSegmentEndWidth(stroke, index, end) {
+        const points = stroke.points;
+        const i = end ? index - 1 : index - 2;
+        if (i < 0 || i + 1 >= points.length) {
+            return getPointWidth(stroke, points[Math.max(i, 0)]);
+        }
+        return (getPointWidth(stroke, points[i]) + getPointWidth(stroke, points[i + 1])) / 2;
+    }
+    
+    /**
+     * Get the point at t along a piece of a smoothed line
+     */
+    function pointOnSegment({ from, control, to }, t) {
+        const c = control || midpoint(from, to);
+        const u = 1 - t;
+        return {
+            x: u * u * from.x + 2 * u * t * c.x + t * t * to.x,
+            y: u * u * from.y + 2 * u * t * c.y + t * t * to.y
+        };
+    }
+    
+    /**
+     * Get the piece of a smoothed line that the point at index adds, as the parts it is stroked in
+     * ([{ from, control, to, width }]); pen strokes are split so their width changes smoothly along the line
+     */
+    function getSegmentParts(stroke, index) {
+        const segment = getSmoothSegment(stroke.points, index);
+        if (!hasPressure(stroke)) {
+            return [{ ...segment, width: stroke.width }];
+        }
+        
+        const startWidth = getSegmentEndWidth(stroke, index, false);
+        const endWidth = getSegmentEndWidth(stroke, index, true);
+        const count = Math.min(MAX_PRESSURE_PIECES, Math.max(1, Math.ceil(Math.abs(endWidth - startWidth) / PRESSURE_WIDTH_STEP)));
+        if (count === 1) {
+            return [{ ...segment, width: (startWidth + endWidth) / 2 }];
+        }
+        
+        // Each part is the stretch of the curve between two values of t, with its own control point
+        const c = segment.control || midpoint(segment.from, segment.to);
+        const parts = [];
+        for (let i = 0; i < count; i++) {
+            const t0 = i / count;
+            const t1 = (i + 1) / count;
+            const from = pointOnSegment(segment, t0);
+            const span = t1 - t0;
+            parts.push({
+                from,
+                control: {
+                    x: from.x + span * ((1 - t0) * (c.x - segment.from.x) + t0 * (segment.to.x - c.x)),
+                    y: from.y + span * ((1 - t0) * (c.y - segment.from.y) + t0 * (segment.to.y - c.y))
+                },
+                to: pointOnSegment(segment, t1),
+                width: startWidth + (endWidth - startWidth) * (t0 + t1) / 2
+            });
+        }
+        return parts;
+    }
+    
+    /**
+     * Trace one part of a smoothed line (from getSegmentParts) as a subpath of its own
+     */
+    function tracePart(ctx, { from, control, to }) {
+        ctx.moveTo(from.x, from.y);
+        if (control) {
+            ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+        } else {
+            ctx.lineTo(to.x, to.y);
+        }
+    }
+    
+    /**
+     * Build SVG path data for the same smoothed line as traceSmoothPath
+     * format rounds each coordinate
+     */
+    function getSmoothPathData(points, format = (value) => value) {
+        const point = (p) => `${format(p.x)} ${format(p.y)}`;
+        if (points.length < 3) {
+            return `M${point(points[0])} L${point(points[points.length - 1])}`;
+        }
+        
+        const parts = [`M${point(points[0])}`, `L${point(midpoint(points[0], points[1]))}`];
+        for (let i = 1; i < points.length - 1; i++) {
+            parts.push(`Q${point(points[i])} ${point(midpoint(points[i], points[i + 1]))}`);
+        }
+        parts.push(`L${point(points[points.length - 1])}`);
+        return parts.join(' ');
+    }
+    
+    /**
+     * Build SVG path data for the same part of a smoothed line as tracePart
+     */
+    function getPartData({ from, control, to }, format = (value) => value) {
+        const point = (p) => `${format(p.x)} ${format(p.y)}`;
+        return control ? `M${point(from)} Q${point(control)} ${point(to)}` : `M${point(from)} L${point(to)}`;
+    }
+    
+    const StrokeSmoothing = {
+        FREEHAND_TOOLS,
+        isFreehand,
+        hasPressure,
+        getPointWidth,
+        getMaxWidth,
+        simplify,
+        simplifyStroke,
+        traceSmoothPath,
+        getSegmentParts,
+        tracePart,
+        getSmoothPathData,
+        getPartData
+    };
+    
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StrokeSmoothing;
+    } else {
+        root.StrokeSmoothing = StrokeSmoothing;
+    }
+})(typeof window !== 'undefined' ? window : this);
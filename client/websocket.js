@@ -9,23 +9,69 @@ class WebSocketClient {
         this.userId = null;
         this.username = null;
         this.userColor = null;
+        this.roomId = null;
         this.connected = false;
+        
+        // Password or invite for the room being joined; dropped once the server lets us in
+        this.roomCredentials = {};
+        
+        // View-only screen: the server ignores anything but joining and syncing, so nothing else is sent
+        this.spectator = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
         
+        // How long (ms) to wait before coming back after the server disconnected us for flooding it
+        this.rateLimitReconnectDelay = 10000;
+        
+        // True once the server has sent room state for this connection
+        this.synced = false;
+        
+        // Last room operation sequence number applied (null before the first init)
+        this.lastSeq = null;
+        this.syncRequested = false;
+        
+        // Strokes and actions waiting to be sent or acknowledged, in order
+        this.outbox = [];
+        this.maxOutboxSize = 500;
+        this.clientStrokeCounter = 0;
+        
+        // Key under which the session token is kept for this tab
+        this.sessionStorageKey = 'canvasSessionToken';
+        
         // Event callbacks
         this.callbacks = {
             onConnect: null,
             onDisconnect: null,
             onInit: null,
+            onRoomLeft: null,
             onUserJoined: null,
             onUserLeft: null,
             onDrawingStep: null,
             onStrokeSaved: null,
+            onStrokesUpdated: null,
+            onStrokesDeleted: null,
+            onStrokesImported: null,
+            onImportResult: null,
             onCursorUpdate: null,
             onUndoStroke: null,
             onRedoStroke: null,
             onCanvasCleared: null,
+            onClearUndone: null,
+            onClearVoteStarted: null,
+            onClearVoteUpdated: null,
+            onClearVoteEnded: null,
+            onSettingsUpdated: null,
+            onAccessUpdated: null,
+            onKicked: null,
+            onJoinRefused: null,
+            onLayersUpdated: null,
+            onBoardRestored: null,
+            onSnapshotsUpdated: null,
+            onStrokeRejected: null,
+            onChangeRejected: null,
+            onPayloadRejected: null,
+            onRateLimited: null,
+            onSync: null,
             onReconnecting: null,
             onReconnectFailed: null
         };
@@ -33,10 +79,15 @@ class WebSocketClient {
     
     /**
      * Connect to the WebSocket server
+     * The handshake names the room so the server can refuse it before connecting
      */
-    connect() {
+    connect(roomId, credentials = {}) {
+        this.roomId = roomId;
+        this.roomCredentials = credentials;
+        
         // Use Socket.io client with reconnection options
         this.socket = io({
+            auth: { sessionToken: this.loadSessionToken(), roomId, spectator: this.spectator, ...credentials },
             reconnection: true,
             reconnectionAttempts: this.maxReconnectAttempts,
             reconnectionDelay: 1000,
@@ -57,6 +108,16 @@ class WebSocketClient {
             console.log('Connected to server');
             this.connected = true;
             this.reconnectAttempts = 0;
+            
+            // (Re)join the current room on every connection, asking only for missed ops
+            if (this.roomId) {
+                const joinData = { roomId: this.roomId, ...this.roomCredentials };
+                if (this.lastSeq !== null) {
+                    joinData.sinceSeq = this.lastSeq;
+                }
+                this.socket.emit('join_room', joinData);
+            }
+            
             if (this.callbacks.onConnect) {
                 this.callbacks.onConnect();
             }
@@ -66,6 +127,7 @@ class WebSocketClient {
         this.socket.on('disconnect', (reason) => {
             console.log('Disconnected from server:', reason);
             this.connected = false;
+            this.synced = false;
             if (this.callbacks.onDisconnect) {
                 this.callbacks.onDisconnect(reason);
             }
@@ -97,19 +159,96 @@ class WebSocketClient {
         // Connection error
         this.socket.on('connect_error', (error) => {
             console.log('Connection error:', error.message);
+            
+            // Refused by the server (e.g. a wrong password); Socket.io won't retry these, and neither do we
+            if (error.data && error.data.code) {
+                this.leftRoom();
+                if (this.callbacks.onJoinRefused) {
+                    this.callbacks.onJoinRefused({ ...error.data, error: error.message });
+                }
+            }
+        });
+        
+        // Session token for reattaching to the same identity on reconnect
+        this.socket.on('session', (data) => {
+            this.userId = data.userId;
+            this.socket.auth.sessionToken = data.sessionToken;
+            this.saveSessionToken(data.sessionToken);
         });
         
         // Initial data from server
         this.socket.on('init', (data) => {
+            const requestedRoom = this.roomId;
+            
             this.userId = data.userId;
             this.username = data.username;
             this.userColor = data.userColor;
+            this.roomId = data.roomId;
+            this.synced = true;
+            this.lastSeq = data.seq;
+            this.syncRequested = false;
             
-            console.log(`Initialized as ${this.username} with color ${this.userColor}`);
+            // The server remembers we were let in, so reconnects don't need the password or invite
+            this.roomCredentials = {};
+            this.updateAuth();
+            
+            console.log(`Initialized as ${this.username} in room ${this.roomId}`);
+            
+            // Drop queued items the server already has or that belong to another room
+            const serverStrokes = data.strokes || data.ops
+                .filter(op => op.type === 'add')
+                .map(op => op.stroke);
+            this.reconcileOutbox(serverStrokes, [requestedRoom, data.roomId]);
             
             if (this.callbacks.onInit) {
                 this.callbacks.onInit(data);
             }
+            
+            // Replay what was drawn while offline
+            this.flushOutbox();
+        });
+        
+        // Left a room without joining another
+        this.socket.on('room_left', (data) => {
+            if (this.callbacks.onRoomLeft) {
+                this.callbacks.onRoomLeft(data);
+            }
+        });
+        
+        // Removed from the room by its owner, or not let in; don't rejoin on reconnect
+        this.socket.on('kicked', (data) => {
+            this.leftRoom();
+            if (this.callbacks.onKicked) {
+                this.callbacks.onKicked(data);
+            }
+        });
+        
+        this.socket.on('join_refused', (data) => {
+            this.leftRoom();
+            if (this.callbacks.onJoinRefused) {
+                this.callbacks.onJoinRefused(data);
+            }
+        });
+        
+        // The server refused something we sent as malformed
+        // Strokes are answered through their ack as well, so only other events are passed on
+        this.socket.on('payload_rejected', (data) => {
+            console.warn(`Server rejected ${data.event}: ${data.error}`);
+            if (data.event !== 'stroke_complete' && this.callbacks.onPayloadRejected) {
+                this.callbacks.onPayloadRejected(data);
+            }
+        });
+        
+        // The server dropped events we sent too fast, and disconnects us if we keep going
+        // Disconnects by the server aren't retried automatically, so come back once it has calmed down
+        this.socket.on('rate_limited', (data) => {
+            console.warn(`Rate limited on ${data.event}, retry after ${data.retryAfter}ms`);
+            if (data.disconnected) {
+                setTimeout(() => this.socket.connect(), this.rateLimitReconnectDelay);
+            }
+            if (this.callbacks.onRateLimited) {
+                this.callbacks.onRateLimited({ ...data, reconnectDelay: this.rateLimitReconnectDelay });
+            }
         });
         
         // New user joined
@@ -135,13 +274,46 @@ class WebSocketClient {
             }
         });
         
+        // Missed ops or a full snapshot after a sequence gap
+        this.socket.on('sync', (data) => {
+            this.lastSeq = data.seq;
+            this.syncRequested = false;
+            if (this.callbacks.onSync) {
+                this.callbacks.onSync(data);
+            }
+        });
+        
         // Stroke saved confirmation
         this.socket.on('stroke_saved', (data) => {
+            if (!this.acceptSequenced(data)) return;
             if (this.callbacks.onStrokeSaved) {
                 this.callbacks.onStrokeSaved(data);
             }
         });
         
+        // Existing element edited
+        this.socket.on('strokes_updated', (data) => {
+            if (!this.acceptSequenced(data)) return;
+            if (this.callbacks.onStrokesUpdated) {
+                this.callbacks.onStrokesUpdated(data);
+            }
+        });
+        
+        this.socket.on('strokes_deleted', (data) => {
+            if (!this.acceptSequenced(data)) return;
+            if (this.callbacks.onStrokesDeleted) {
+                this.callbacks.onStrokesDeleted(data);
+            }
+        });
+        
+        // Board or SVG file imported
+        this.socket.on('strokes_imported', (data) => {
+            if (!this.acceptSequenced(data)) return;
+            if (this.callbacks.onStrokesImported) {
+                this.callbacks.onStrokesImported(data);
+            }
+        });
+        
         // Cursor update from another user
         this.socket.on('cursor_update', (data) => {
             if (this.callbacks.onCursorUpdate) {
@@ -151,6 +323,7 @@ class WebSocketClient {
         
         // Undo stroke event
         this.socket.on('undo_stroke', (data) => {
+            if (!this.acceptSequenced(data)) return;
             if (this.callbacks.onUndoStroke) {
                 this.callbacks.onUndoStroke(data);
             }
@@ -158,6 +331,7 @@ class WebSocketClient {
         
         // Redo stroke event
         this.socket.on('redo_stroke', (data) => {
+            if (!this.acceptSequenced(data)) return;
             if (this.callbacks.onRedoStroke) {
                 this.callbacks.onRedoStroke(data);
             }
@@ -165,33 +339,241 @@ class WebSocketClient {
         
         // Canvas cleared event
         this.socket.on('canvas_cleared', (data) => {
+            if (!this.acceptSequenced(data)) return;
             if (this.callbacks.onCanvasCleared) {
                 this.callbacks.onCanvasCleared(data);
             }
         });
+        
+        // Cleared board brought back
+        this.socket.on('clear_undone', (data) => {
+            if (!this.acceptSequenced(data)) return;
+            if (this.callbacks.onClearUndone) {
+                this.callbacks.onClearUndone(data);
+            }
+        });
+        
+        // Votes on clearing the board
+        this.socket.on('clear_vote_started', (data) => {
+            if (this.callbacks.onClearVoteStarted) {
+                this.callbacks.onClearVoteStarted(data);
+            }
+        });
+        
+        this.socket.on('clear_vote_updated', (data) => {
+            if (this.callbacks.onClearVoteUpdated) {
+                this.callbacks.onClearVoteUpdated(data);
+            }
+        });
+        
+        this.socket.on('clear_vote_ended', (data) => {
+            if (this.callbacks.onClearVoteEnded) {
+                this.callbacks.onClearVoteEnded(data);
+            }
+        });
+        
+        // Room settings changed
+        this.socket.on('settings_updated', (data) => {
+            if (this.callbacks.onSettingsUpdated) {
+                this.callbacks.onSettingsUpdated(data);
+            }
+        });
+        
+        // Roles, mutes or the board lock changed
+        this.socket.on('access_updated', (data) => {
+            if (this.callbacks.onAccessUpdated) {
+                this.callbacks.onAccessUpdated(data);
+            }
+        });
+        
+        this.socket.on('layers_updated', (data) => {
+            if (!this.acceptSequenced(data)) return;
+            if (this.callbacks.onLayersUpdated) {
+                this.callbacks.onLayersUpdated(data);
+            }
+        });
+        
+        // Board replaced by a saved snapshot
+        this.socket.on('board_restored', (data) => {
+            if (!this.acceptSequenced(data)) return;
+            if (this.callbacks.onBoardRestored) {
+                this.callbacks.onBoardRestored(data);
+            }
+        });
+        
+        // Snapshot saved or deleted
+        this.socket.on('snapshots_updated', (data) => {
+            if (this.callbacks.onSnapshotsUpdated) {
+                this.callbacks.onSnapshotsUpdated(data);
+            }
+        });
+    }
+    
+    /**
+     * Check a history event's sequence number before applying it
+     * Returns false for duplicates and for events after a gap (which triggers a sync)
+     */
+    acceptSequenced(data) {
+        if (this.lastSeq === null || data.seq <= this.lastSeq) {
+            return false;
+        }
+        
+        // Events carrying several ops take one seq per op
+        const firstSeq = data.ops ? data.ops[0].seq : data.seq;
+        if (firstSeq !== this.lastSeq + 1) {
+            this.requestSync();
+            return false;
+        }
+        
+        this.lastSeq = data.seq;
+        return true;
+    }
+    
+    /**
+     * Ask the server for the ops missed since the last applied sequence number
+     * A full sync replaces the whole board, undoing local changes the server refused
+     */
+    requestSync(full = false) {
+        if ((this.syncRequested && !full) || !this.connected) return;
+        
+        this.syncRequested = true;
+        this.socket.emit('sync_request', full ? {} : { sinceSeq: this.lastSeq });
+    }
+    
+    /**
+     * Read the saved session token (sessionStorage is per-tab, so tabs get separate identities)
+     */
+    loadSessionToken() {
+        try {
+            return sessionStorage.getItem(this.sessionStorageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Save the session token so a reload keeps the same identity
+     */
+    saveSessionToken(token) {
+        try {
+            sessionStorage.setItem(this.sessionStorageKey, token);
+        } catch (error) {
+            // Storage may be unavailable (e.g. privacy mode); reconnects still work in memory
+        }
+    }
+    
+    /**
+     * Join a room, leaving the current one on the server
+     */
+    joinRoom(roomId, credentials = {}) {
+        this.roomId = roomId;
+        this.lastSeq = null;
+        this.roomCredentials = credentials;
+        this.updateAuth();
+        
+        // After a refused handshake the socket stays down until asked to connect again
+        if (!this.socket.active) {
+            this.socket.connect();
+            return;
+        }
+        if (!this.connected) return;
+        this.socket.emit('join_room', { roomId, ...credentials });
+    }
+    
+    /**
+     * Leave the current room
+     */
+    leaveRoom() {
+        this.leftRoom();
+        if (!this.connected) return;
+        this.socket.emit('leave_room');
+    }
+    
+    /**
+     * Forget the current room so reconnects don't rejoin it
+     */
+    leftRoom() {
+        this.roomId = null;
+        this.lastSeq = null;
+        this.roomCredentials = {};
+        this.updateAuth();
+    }
+    
+    /**
+     * Keep the handshake in step with the room being joined, for the next (re)connect
+     */
+    updateAuth() {
+        this.socket.auth = {
+            sessionToken: this.socket.auth.sessionToken,
+            roomId: this.roomId,
+            spectator: this.spectator,
+            ...this.roomCredentials
+        };
     }
     
     /**
      * Emit drawing step to server
      */
     emitDrawingStep(data) {
-        if (!this.connected) return;
+        if (!this.connected || this.spectator) return;
         this.socket.emit('drawing_step', data);
     }
     
     /**
      * Emit completed stroke to server
+     * Queued while offline; returns the stroke tagged with its clientStrokeId
      */
     emitStrokeComplete(data) {
-        if (!this.connected) return;
-        this.socket.emit('stroke_complete', data);
+        const stroke = {
+            ...data,
+            clientStrokeId: this.createClientStrokeId()
+        };
+        
+        this.enqueue('stroke_complete', stroke);
+        return stroke;
+    }
+    
+    /**
+     * Import strokes (and the layers they use) as one undoable action
+     * Strokes on unknown layers go into layerId; queued while offline
+     */
+    emitImportStrokes(strokes, layers, layerId) {
+        const tagged = strokes.map(stroke => ({
+            ...stroke,
+            clientStrokeId: this.createClientStrokeId()
+        }));
+        
+        this.enqueue('import_strokes', { strokes: tagged, layers, layerId });
+        return tagged;
+    }
+    
+    /**
+     * Generate an ID that lets the server recognize a stroke sent twice
+     */
+    createClientStrokeId() {
+        this.clientStrokeCounter++;
+        return `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}_${this.clientStrokeCounter}`;
+    }
+    
+    /**
+     * Request changes to existing elements as one undoable action
+     */
+    emitUpdateStrokes(updates) {
+        this.enqueue('update_stroke', { updates });
+    }
+    
+    /**
+     * Delete elements from the room as one undoable action
+     */
+    emitDeleteStrokes(strokeIds) {
+        this.enqueue('delete_strokes', { strokeIds });
     }
     
     /**
      * Emit cursor position to server
      */
     emitCursorMove(x, y) {
-        if (!this.connected) return;
+        if (!this.connected || this.spectator) return;
         this.socket.emit('cursor_move', { x, y });
     }
     
@@ -199,24 +581,287 @@ class WebSocketClient {
      * Request undo operation
      */
     emitUndo() {
-        if (!this.connected) return;
-        this.socket.emit('undo');
+        this.enqueue('undo');
     }
     
     /**
      * Request redo operation
      */
     emitRedo() {
-        if (!this.connected) return;
-        this.socket.emit('redo');
+        this.enqueue('redo');
     }
     
     /**
-     * Request canvas clear
+     * Request canvas clear; the ack says whether a vote was started instead
+     * Not queued offline, so a late clear can't wipe what others drew in the meantime
      */
-    emitClearCanvas() {
-        if (!this.connected) return;
-        this.socket.emit('clear_canvas');
+    emitClearCanvas(callback) {
+        this.request('clear_canvas', {}, callback);
+    }
+    
+    /**
+     * Approve or reject someone's request to clear the board
+     */
+    emitClearVote(voteId, approve) {
+        if (!this.connected || this.spectator) return;
+        this.socket.emit('clear_vote', { voteId, approve });
+    }
+    
+    /**
+     * Bring back the board removed by a clear (named by its sequence number)
+     */
+    emitUndoClear(seq, callback) {
+        this.request('undo_clear', { seq }, callback);
+    }
+    
+    /**
+     * Change room settings
+     */
+    emitUpdateSettings(settings) {
+        this.enqueue('update_settings', { settings });
+    }
+    
+    /**
+     * Add a new layer on top of the room's layers
+     */
+    emitCreateLayer(name) {
+        this.enqueue('create_layer', { name });
+    }
+    
+    /**
+     * Rename, hide/show or lock/unlock a layer
+     */
+    emitUpdateLayer(layerId, changes) {
+        this.enqueue('update_layer', { layerId, changes });
+    }
+    
+    /**
+     * Move a layer to a new stacking position (0 is the bottom)
+     */
+    emitMoveLayer(layerId, index) {
+        this.enqueue('move_layer', { layerId, index });
+    }
+    
+    /**
+     * List the room's named snapshots
+     */
+    listSnapshots(callback) {
+        this.request('list_snapshots', {}, callback);
+    }
+    
+    /**
+     * Save the current board as a named snapshot
+     */
+    emitSaveSnapshot(name, callback) {
+        this.request('save_snapshot', { name }, callback);
+    }
+    
+    /**
+     * Replace the board with a snapshot for everyone in the room
+     */
+    emitRestoreSnapshot(snapshotId, callback) {
+        this.request('restore_snapshot', { snapshotId }, callback);
+    }
+    
+    /**
+     * Start a new room from a snapshot; answers with the new room's ID
+     */
+    emitForkSnapshot(snapshotId, roomId, callback) {
+        this.request('fork_snapshot', { snapshotId, roomId }, callback);
+    }
+    
+    /**
+     * Delete a snapshot
+     */
+    emitDeleteSnapshot(snapshotId, callback) {
+        this.request('delete_snapshot', { snapshotId }, callback);
+    }
+    
+    /**
+     * Make another user an editor or a viewer (owner only)
+     */
+    emitSetRole(userId, role, callback) {
+        this.request('set_role', { userId, role }, callback);
+    }
+    
+    /**
+     * Stop or allow another user's drawing (owner only)
+     */
+    emitMuteUser(userId, muted, callback) {
+        this.request('mute_user', { userId, muted }, callback);
+    }
+    
+    /**
+     * Lock or unlock the board for everyone but the owner
+     */
+    emitSetReadOnly(readOnly, callback) {
+        this.request('set_read_only', { readOnly }, callback);
+    }
+    
+    /**
+     * Set or remove (with an empty string) the room's password (owner only)
+     */
+    emitSetRoomPassword(password, callback) {
+        this.request('set_room_password', { password }, callback);
+    }
+    
+    /**
+     * Let only invited users into the room, or open it up again (owner only)
+     */
+    emitSetInviteOnly(inviteOnly, callback) {
+        this.request('set_invite_only', { inviteOnly }, callback);
+    }
+    
+    /**
+     * Create a signed invite token for the room (owner only); answers with {token, expiresAt}
+     */
+    emitCreateInvite(role, expiresIn, callback) {
+        this.request('create_invite', { role, expiresIn }, callback);
+    }
+    
+    /**
+     * Hand the room to another user (owner only)
+     */
+    emitTransferOwnership(userId, callback) {
+        this.request('transfer_ownership', { userId }, callback);
+    }
+    
+    /**
+     * Remove another user from the room for a while (owner only)
+     */
+    emitKickUser(userId, callback) {
+        this.request('kick_user', { userId }, callback);
+    }
+    
+    /**
+     * Send a request the server answers right away
+     * Unlike drawing changes these aren't queued offline, since they act on the server's current board
+     */
+    request(event, data, callback) {
+        if (this.spectator) {
+            callback({ error: 'Spectators can\'t change the board' });
+            return;
+        }
+        if (!this.connected) {
+            callback({ error: 'Not connected to the server' });
+            return;
+        }
+        this.socket.emit(event, data, (response) => callback(response || {}));
+    }
+    
+    /**
+     * Add a stroke or action to the outbox, sending it right away when in sync
+     */
+    enqueue(event, data) {
+        if (this.spectator) return;
+        
+        if (this.outbox.length >= this.maxOutboxSize) {
+            console.warn('Offline queue full, dropping oldest change');
+            this.outbox.shift();
+        }
+        
+        const entry = { event, data, roomId: this.roomId };
+        this.outbox.push(entry);
+        
+        if (this.connected && this.synced) {
+            this.sendEntry(entry);
+        }
+    }
+    
+    /**
+     * Send one outbox entry
+     * Strokes and imports stay queued until the server acknowledges them; actions are fire-and-forget
+     * Edits and deletions are shown before the server answers, so a refused one reloads the board
+     */
+    sendEntry(entry) {
+        if (entry.event === 'stroke_complete') {
+            this.socket.emit(entry.event, entry.data, (response) => {
+                this.removeFromOutbox(entry);
+                if (response && response.error && this.callbacks.onStrokeRejected) {
+                    this.callbacks.onStrokeRejected(response);
+                }
+            });
+        } else if (entry.event === 'import_strokes') {
+            this.socket.emit(entry.event, entry.data, (response) => {
+                this.removeFromOutbox(entry);
+                if (this.callbacks.onImportResult) {
+                    this.callbacks.onImportResult(response || {});
+                }
+            });
+        } else if (entry.event === 'update_stroke' || entry.event === 'delete_strokes') {
+            this.socket.emit(entry.event, entry.data, (response) => {
+                if (!response || !response.error) return;
+                
+                this.requestSync(true);
+                // Rate limits and malformed payloads are already reported through their own events
+                if (response.rejected && this.callbacks.onChangeRejected) {
+                    this.callbacks.onChangeRejected(response);
+                }
+            });
+            this.removeFromOutbox(entry);
+        } else {
+            this.socket.emit(entry.event, entry.data);
+            this.removeFromOutbox(entry);
+        }
+    }
+    
+    /**
+     * Send every queued entry in order
+     */
+    flushOutbox() {
+        if (this.outbox.length > 0) {
+            console.log(`Replaying ${this.outbox.length} queued changes`);
+        }
+        
+        for (const entry of [...this.outbox]) {
+            this.sendEntry(entry);
+        }
+    }
+    
+    /**
+     * Remove an entry once it has been delivered
+     */
+    removeFromOutbox(entry) {
+        const index = this.outbox.indexOf(entry);
+        if (index !== -1) {
+            this.outbox.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Drop queued entries already in the server's history or meant for another room
+     */
+    reconcileOutbox(serverStrokes, roomIds) {
+        const savedIds = new Set();
+        for (const stroke of serverStrokes || []) {
+            if (stroke.clientStrokeId) {
+                savedIds.add(stroke.clientStrokeId);
+            }
+        }
+        
+        this.outbox = this.outbox.filter(entry => {
+            if (!roomIds.includes(entry.roomId)) return false;
+            if (entry.event === 'import_strokes') {
+                return !entry.data.strokes.every(stroke => savedIds.has(stroke.clientStrokeId));
+            }
+            return !(entry.event === 'stroke_complete' && savedIds.has(entry.data.clientStrokeId));
+        });
+        
+        // Everything left now targets the joined room
+        for (const entry of this.outbox) {
+            entry.roomId = this.roomId;
+        }
+    }
+    
+    /**
+     * Get strokes drawn locally that the server hasn't confirmed yet
+     */
+    getPendingStrokes() {
+        return this.outbox.flatMap(entry => {
+            if (entry.event === 'stroke_complete') return [entry.data];
+            if (entry.event === 'import_strokes') return entry.data.strokes;
+            return [];
+        });
     }
     
     /**
@@ -242,7 +887,8 @@ class WebSocketClient {
         return {
             id: this.userId,
             username: this.username,
-            color: this.userColor
+            color: this.userColor,
+            roomId: this.roomId
         };
     }
 }
@@ -0,0 +1,145 @@
+/**
+ * File Storage - Append-only JSON log backend for StateManager
+ * Each room is stored as one JSON Lines file of history entries in the data directory
+ *
+ * Any object with the same methods can be passed to StateManager as a storage backend:
+ *   load()                  -> Map of roomId -> array of logged entries
+ *   append(roomId, entry)   -> queue one entry for writing
+ *   rewrite(roomId, entries)-> replace the room's log (compaction)
+ *   flush()                 -> Promise resolved once queued writes are on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOG_EXTENSION = '.jsonl';
+
+class FileStorage {
+    constructor(dataDir, options = {}) {
+        this.dataDir = dataDir;
+        
+        // Delay between a write being queued and written to disk
+        this.flushDelay = options.flushDelay || 500;
+        
+        // Map of roomId -> { rewrite: boolean, lines: [] } waiting to be written
+        this.pending = new Map();
+        
+        // Chain of in-flight flushes so writes land in order
+        this.flushChain = Promise.resolve();
+        this.flushTimer = null;
+        
+        fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+    
+    /**
+     * Get the log file path for a room
+     */
+    getRoomFile(roomId) {
+        return path.join(this.dataDir, encodeURIComponent(roomId) + LOG_EXTENSION);
+    }
+    
+    /**
+     * Read every room log from disk
+     */
+    load() {
+        const rooms = new Map();
+        
+        for (const file of fs.readdirSync(this.dataDir)) {
+            if (!file.endsWith(LOG_EXTENSION)) continue;
+            
+            const roomId = decodeURIComponent(file.slice(0, -LOG_EXTENSION.length));
+            const content = fs.readFileSync(path.join(this.dataDir, file), 'utf8');
+            const entries = [];
+            
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                
+                // A crash mid-write can leave a torn last line
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    console.warn(`Skipping corrupt entry in ${file}`);
+                }
+            }
+            
+            rooms.set(roomId, entries);
+        }
+        
+        return rooms;
+    }
+    
+    /**
+     * Queue an entry to be appended to a room's log
+     */
+    append(roomId, entry) {
+        if (!this.pending.has(roomId)) {
+            this.pending.set(roomId, { rewrite: false, lines: [] });
+        }
+        
+        // Serialize now so later in-memory changes don't leak into this entry
+        this.pending.get(roomId).lines.push(JSON.stringify(entry) + '\n');
+        this.scheduleFlush();
+    }
+    
+    /**
+     * Replace a room's whole log, dropping anything queued before
+     */
+    rewrite(roomId, entries) {
+        const lines = entries.map(entry => JSON.stringify(entry) + '\n');
+        this.pending.set(roomId, { rewrite: true, lines });
+        this.scheduleFlush();
+    }
+    
+    /**
+     * Flush after a short delay so bursts of strokes share one write
+     */
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushDelay);
+    }
+    
+    /**
+     * Write all queued entries to disk
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        
+        const batch = this.pending;
+        this.pending = new Map();
+        
+        this.flushChain = this.flushChain.then(() => this.writeBatch(batch));
+        return this.flushChain;
+    }
+    
+    /**
+     * Write one batch of queued entries
+     */
+    async writeBatch(batch) {
+        for (const [roomId, { rewrite, lines }] of batch) {
+            const file = this.getRoomFile(roomId);
+            const data = lines.join('');
+            
+            try {
+                if (rewrite) {
+                    // Write to a temp file first so a crash never leaves a half-written log
+                    const tempFile = file + '.tmp';
+                    await fs.promises.writeFile(tempFile, data);
+                    await fs.promises.rename(tempFile, file);
+                } else if (data) {
+                    await fs.promises.appendFile(file, data);
+                }
+            } catch (error) {
+                console.error(`Failed to write history for room ${roomId}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,108 @@
+/**
+ * Image Store - Keeps uploaded board images on disk
+ * Images are named by a hash of their content, so the same file uploaded twice is stored once
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// File signatures of the accepted formats, and the extension each is stored under
+const IMAGE_FORMATS = [
+    { extension: 'png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { extension: 'jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) }
+];
+
+// Names of stored images
+const IMAGE_FILE_PATTERN = /^[a-f0-9]{64}\.(png|jpg)$/;
+
+class ImageStore {
+    /**
+     * @param {string} imageDir - Directory to keep images in
+     */
+    constructor(imageDir) {
+        this.imageDir = imageDir;
+        fs.mkdirSync(this.imageDir, { recursive: true });
+    }
+    
+    /**
+     * Detect an image's format from its first bytes
+     * Returns null if it is not a PNG or JPEG
+     */
+    detectFormat(data) {
+        return IMAGE_FORMATS.find(format =>
+            data.length > format.signature.length &&
+            data.subarray(0, format.signature.length).equals(format.signature)) || null;
+    }
+    
+    /**
+     * Store an uploaded image
+     * Returns its file name, or null if the data is not a PNG or JPEG
+     */
+    async save(data) {
+        const format = Buffer.isBuffer(data) ? this.detectFormat(data) : null;
+        if (!format) return null;
+        
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        const fileName = `${hash}.${format.extension}`;
+        const file = path.join(this.imageDir, fileName);
+        
+        if (fs.existsSync(file)) {
+            // Uploading it again makes it new, so prune() gives it time to be placed
+            const now = new Date();
+            await fs.promises.utimes(file, now, now);
+        } else {
+            // Write to a temp file first so a crash never leaves a half-written image
+            const tempFile = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            try {
+                await fs.promises.writeFile(tempFile, data);
+                await fs.promises.rename(tempFile, file);
+            } catch (error) {
+                await fs.promises.rm(tempFile, { force: true }).catch(() => {});
+                throw error;
+            }
+            console.log(`Image stored: ${fileName} (${data.length} bytes)`);
+        }
+        
+        return fileName;
+    }
+    
+    /**
+     * Delete images not in keep (a set of file names), and temp files left by a crash, once they are older than maxAge ms
+     * Returns how many files were deleted
+     */
+    async prune(keep, maxAge, now = Date.now()) {
+        let removed = 0;
+        
+        for (const fileName of await fs.promises.readdir(this.imageDir)) {
+            const isImage = IMAGE_FILE_PATTERN.test(fileName);
+            if (isImage ? keep.has(fileName) : !fileName.endsWith('.tmp')) continue;
+            
+            const file = path.join(this.imageDir, fileName);
+            try {
+                const stats = await fs.promises.stat(file);
+                if (now - stats.mtimeMs < maxAge) continue;
+                await fs.promises.unlink(file);
+                removed++;
+            } catch (error) {
+                // Already gone
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        
+        if (removed > 0) {
+            console.log(`Removed ${removed} unused images`);
+        }
+        return removed;
+    }
+    
+    /**
+     * Get the path of a stored image
+     * Returns null for names that could not have been produced by save()
+     */
+    getPath(fileName) {
+        return IMAGE_FILE_PATTERN.test(fileName) ? path.join(this.imageDir, fileName) : null;
+    }
+}
+
+module.exports = ImageStore;
@@ -0,0 +1,80 @@
+/**
+ * Invite Signer - Creates and checks signed invite links to rooms
+ * An invite names a room, the role it grants and when it expires; the signature keeps anyone from changing them
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Roles an invite can grant
+const INVITE_ROLES = ['editor', 'viewer'];
+
+class InviteSigner {
+    /**
+     * @param {string} secret - Key to sign invites with; invites signed with another key are rejected
+     */
+    constructor(secret) {
+        this.secret = secret;
+    }
+    
+    /**
+     * Read the signing key from a file, creating a random one on first use
+     * Keeping it on disk means invite links survive restarts
+     */
+    static loadSecret(filePath) {
+        if (fs.existsSync(filePath)) {
+            return fs.readFileSync(filePath, 'utf8').trim();
+        }
+        
+        const secret = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, secret, { mode: 0o600 });
+        return secret;
+    }
+    
+    /**
+     * Create an invite token for a room
+     * Returns null for roles an invite can't grant
+     */
+    create(roomId, role, expiresAt) {
+        if (!INVITE_ROLES.includes(role)) return null;
+        
+        const payload = Buffer.from(JSON.stringify({ roomId, role, expiresAt })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+    
+    /**
+     * Check an invite token
+     * Returns { roomId, role, expiresAt }, or null if it is malformed, tampered with or expired
+     */
+    verify(token) {
+        if (typeof token !== 'string') return null;
+        
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+        
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+        
+        let invite;
+        try {
+            invite = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+        
+        if (!INVITE_ROLES.includes(invite.role) || !(invite.expiresAt > Date.now())) return null;
+        return invite;
+    }
+    
+    /**
+     * Sign an encoded payload
+     */
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+}
+
+module.exports = InviteSigner;
@@ -0,0 +1,105 @@
+/**
+ * Rate Limiter - Token buckets per user and event type; events without a limit of their own share the '*' bucket
+ * Events over the limit are dropped and count as strikes; enough strikes in a short window mark a user as abusive
+ */
+
+class RateLimiter {
+    /**
+     * @param {object} limits - Map of event name -> { rate, burst }, rate in events per second;
+     *                          '*' applies to events without their own entry
+     * @param {object} [options] - { strikeWindow } in ms, { maxStrikes } allowed in that window
+     */
+    constructor(limits, options = {}) {
+        this.limits = limits;
+        this.strikeWindow = options.strikeWindow || 10 * 1000;
+        this.maxStrikes = options.maxStrikes || 200;
+        
+        // Map of userId -> Map of bucket key (see getBucketKey) -> { tokens, updatedAt }
+        this.buckets = new Map();
+        
+        // Map of userId -> { count, since } for the current strike window
+        this.strikes = new Map();
+    }
+    
+    /**
+     * Get the limit an event is held to, or null if it is unlimited
+     */
+    getLimit(event) {
+        return this.limits[event] || this.limits['*'] || null;
+    }
+    
+    /**
+     * Get the bucket an event takes its tokens from
+     * Events without their own limit all share '*', so renaming events doesn't get around it or add buckets
+     */
+    getBucketKey(event) {
+        return Object.prototype.hasOwnProperty.call(this.limits, event) ? event : '*';
+    }
+    
+    /**
+     * Take a token for one of a user's events
+     * Returns 0 if the event may go ahead, otherwise the ms until a token is available
+     */
+    take(userId, event, now = Date.now()) {
+        const limit = this.getLimit(event);
+        if (!limit) return 0;
+        
+        if (!this.buckets.has(userId)) {
+            this.buckets.set(userId, new Map());
+        }
+        const buckets = this.buckets.get(userId);
+        const key = this.getBucketKey(event);
+        const bucket = buckets.get(key) || { tokens: limit.burst, updatedAt: now };
+        buckets.set(key, bucket);
+        
+        // Refill for the time since the last event, up to the burst size
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+        bucket.updatedAt = now;
+        
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) / limit.rate * 1000);
+    }
+    
+    /**
+     * Count a dropped event against a user
+     * Returns true once the user has more strikes in the current window than allowed
+     */
+    strike(userId, now = Date.now()) {
+        let strikes = this.strikes.get(userId);
+        if (!strikes || now - strikes.since > this.strikeWindow) {
+            strikes = { count: 0, since: now };
+            this.strikes.set(userId, strikes);
+        }
+        
+        strikes.count++;
+        return strikes.count > this.maxStrikes;
+    }
+    
+    /**
+     * Forget buckets that have refilled and strike windows that have ended
+     */
+    prune(now = Date.now()) {
+        for (const [userId, buckets] of this.buckets) {
+            for (const [key, bucket] of buckets) {
+                const limit = this.getLimit(key);
+                if (!limit || bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate >= limit.burst) {
+                    buckets.delete(key);
+                }
+            }
+            if (buckets.size === 0) {
+                this.buckets.delete(userId);
+            }
+        }
+        
+        for (const [userId, strikes] of this.strikes) {
+            if (now - strikes.since > this.strikeWindow) {
+                this.strikes.delete(userId);
+            }
+        }
+    }
+}
+
+module.exports = RateLimiter;
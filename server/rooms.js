@@ -1,12 +1,102 @@
 /**
  * Room Manager - Handles user sessions in different drawing rooms
  * Each room is an isolated drawing session with its own users and canvas state
+ * Roles and moderation state outlive the users' presence and are saved to disk
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Roles an owner can give other users; the owner role itself only moves by transfer
+const ROLES = ['editor', 'viewer'];
+
+// An owner away this long loses the room to the next user who joins
+const OWNER_ABSENCE_LIMIT = 24 * 60 * 60 * 1000;
+
 class RoomManager {
-    constructor() {
+    /**
+     * @param {string} [filePath] - JSON file to persist roles in; omit for memory only
+     */
+    constructor(filePath = null) {
         // Map of roomId -> Map of userId -> userData
         this.rooms = new Map();
+        
+        // Map of roomId -> { ownerId, ownerLeftAt, roles: Map userId -> role, muted: Set, readOnly,
+        //                   passwordHash, inviteOnly, members: Set, bans: Map userId -> until }
+        // Users without an entry in roles are editors, and roles the owner or an invite gave are kept even for editors;
+        // members are the users let into a protected room; bans are kept in memory only
+        this.access = new Map();
+        
+        this.filePath = filePath;
+        this.saveTimer = null;
+    }
+    
+    /**
+     * Load saved roles from disk
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const room of saved) {
+                this.access.set(room.roomId, {
+                    ownerId: room.ownerId,
+                    ownerLeftAt: room.ownerLeftAt,
+                    roles: new Map(Object.entries(room.roles)),
+                    muted: new Set(room.muted),
+                    readOnly: room.readOnly,
+                    passwordHash: room.passwordHash || null,
+                    inviteOnly: !!room.inviteOnly,
+                    members: new Set(room.members || []),
+                    bans: new Map()
+                });
+            }
+            console.log(`Loaded roles for ${this.access.size} rooms`);
+        } catch (error) {
+            console.error('Failed to load room roles:', error.message);
+        }
+    }
+    
+    /**
+     * Save after a short delay so bursts of changes share one write
+     */
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+        
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 1000);
+    }
+    
+    /**
+     * Write all rooms' roles to disk
+     */
+    save() {
+        if (!this.filePath) return Promise.resolve();
+        
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        
+        const data = JSON.stringify(Array.from(this.access, ([roomId, access]) => ({
+            roomId,
+            ownerId: access.ownerId,
+            ownerLeftAt: access.ownerLeftAt,
+            roles: Object.fromEntries(access.roles),
+            muted: Array.from(access.muted),
+            readOnly: access.readOnly,
+            passwordHash: access.passwordHash,
+            inviteOnly: access.inviteOnly,
+            members: Array.from(access.members)
+        })));
+        const tempFile = this.filePath + '.tmp';
+        
+        return fs.promises.writeFile(tempFile, data)
+            .then(() => fs.promises.rename(tempFile, this.filePath))
+            .catch(error => console.error('Failed to save room roles:', error.message));
     }
     
     /**
@@ -114,6 +204,261 @@ class RoomManager {
     getAllRooms() {
         return Array.from(this.rooms.keys());
     }
+    
+    /**
+     * Get a room's roles and moderation state, creating it if needed
+     */
+    getAccess(roomId) {
+        if (!this.access.has(roomId)) {
+            this.access.set(roomId, {
+                ownerId: null,
+                ownerLeftAt: null,
+                roles: new Map(),
+                muted: new Set(),
+                readOnly: false,
+                passwordHash: null,
+                inviteOnly: false,
+                members: new Set(),
+                bans: new Map()
+            });
+        }
+        return this.access.get(roomId);
+    }
+    
+    /**
+     * Make a joining user the owner if the room has none, or its owner has been away too long
+     * Returns true if the user is now the owner
+     */
+    claimOwnership(roomId, userId) {
+        const access = this.getAccess(roomId);
+        
+        if (access.ownerId === userId) {
+            access.ownerLeftAt = null;
+        } else if (!access.ownerId || (access.ownerLeftAt && Date.now() - access.ownerLeftAt > OWNER_ABSENCE_LIMIT)) {
+            access.ownerId = userId;
+            access.ownerLeftAt = null;
+            access.roles.delete(userId);
+            access.muted.delete(userId);
+            console.log(`User ${userId} is now the owner of room ${roomId}`);
+        } else {
+            return false;
+        }
+        
+        this.scheduleSave();
+        return true;
+    }
+    
+    /**
+     * Note that a user left, starting the owner's absence clock if it was them
+     */
+    markLeft(roomId, userId) {
+        const access = this.getAccess(roomId);
+        if (access.ownerId === userId) {
+            access.ownerLeftAt = Date.now();
+            this.scheduleSave();
+        }
+    }
+    
+    /**
+     * Get a user's role in a room: 'owner', 'editor' or 'viewer'
+     */
+    getRole(roomId, userId) {
+        const access = this.getAccess(roomId);
+        if (access.ownerId === userId) return 'owner';
+        return access.roles.get(userId) || 'editor';
+    }
+    
+    /**
+     * Check whether a user owns a room
+     */
+    isOwner(roomId, userId) {
+        return this.getAccess(roomId).ownerId === userId;
+    }
+    
+    /**
+     * Get why a user can't change a room's board, or null if they can
+     */
+    getDrawRestriction(roomId, userId) {
+        const access = this.getAccess(roomId);
+        const role = this.getRole(roomId, userId);
+        
+        if (role === 'owner') return null;
+        if (role === 'viewer') return 'You are a viewer in this room';
+        if (access.muted.has(userId)) return 'The room owner muted your drawing';
+        if (access.readOnly) return 'The board is read-only';
+        return null;
+    }
+    
+    /**
+     * Check whether a user may change a room's board
+     */
+    canDraw(roomId, userId) {
+        return this.getDrawRestriction(roomId, userId) === null;
+    }
+    
+    /**
+     * Make a user an editor or a viewer
+     * Returns false for unknown roles and for the owner
+     */
+    setRole(roomId, userId, role) {
+        const access = this.getAccess(roomId);
+        if (!ROLES.includes(role) || access.ownerId === userId) return false;
+        
+        access.roles.set(userId, role);
+        this.scheduleSave();
+        return true;
+    }
+    
+    /**
+     * Stop or allow a user's drawing
+     * Returns false for the owner, who can't be muted
+     */
+    setMuted(roomId, userId, muted) {
+        const access = this.getAccess(roomId);
+        if (access.ownerId === userId) return false;
+        
+        if (muted) {
+            access.muted.add(userId);
+        } else {
+            access.muted.delete(userId);
+        }
+        this.scheduleSave();
+        return true;
+    }
+    
+    /**
+     * Lock the board so only the owner can change it, or unlock it
+     */
+    setReadOnly(roomId, readOnly) {
+        this.getAccess(roomId).readOnly = readOnly;
+        this.scheduleSave();
+    }
+    
+    /**
+     * Hand ownership to another user; the previous owner becomes an editor
+     */
+    transferOwnership(roomId, userId) {
+        const access = this.getAccess(roomId);
+        access.ownerId = userId;
+        access.ownerLeftAt = null;
+        access.roles.delete(userId);
+        access.muted.delete(userId);
+        this.scheduleSave();
+    }
+    
+    /**
+     * Set or remove (with an empty password) the password needed to join a room
+     * Everyone present keeps access
+     */
+    setPassword(roomId, password) {
+        const access = this.getAccess(roomId);
+        
+        if (password) {
+            const salt = crypto.randomBytes(16).toString('hex');
+            access.passwordHash = `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+            this.getUsers(roomId).forEach(user => access.members.add(user.id));
+        } else {
+            access.passwordHash = null;
+        }
+        this.scheduleSave();
+    }
+    
+    /**
+     * Check a password against a room's
+     */
+    checkPassword(roomId, password) {
+        const passwordHash = this.getAccess(roomId).passwordHash;
+        if (!passwordHash || typeof password !== 'string') return false;
+        
+        const [salt, hash] = passwordHash.split(':');
+        return crypto.timingSafeEqual(crypto.scryptSync(password, salt, 32), Buffer.from(hash, 'hex'));
+    }
+    
+    /**
+     * Let only invited users (and those who know the password, if any) into a room
+     * Everyone present keeps access
+     */
+    setInviteOnly(roomId, inviteOnly) {
+        const access = this.getAccess(roomId);
+        access.inviteOnly = inviteOnly;
+        if (inviteOnly) {
+            this.getUsers(roomId).forEach(user => access.members.add(user.id));
+        }
+        this.scheduleSave();
+    }
+    
+    /**
+     * Check whether a room needs a password or an invite to join
+     */
+    isProtected(roomId) {
+        const access = this.getAccess(roomId);
+        return !!access.passwordHash || access.inviteOnly;
+    }
+    
+    /**
+     * Check whether a user may join a room without a password or invite
+     */
+    hasAccess(roomId, userId) {
+        const access = this.getAccess(roomId);
+        return !this.isProtected(roomId) || access.ownerId === userId || access.members.has(userId);
+    }
+    
+    /**
+     * Check whether a user already belongs to a room: the owner, let in before, or given a role
+     */
+    isMember(roomId, userId) {
+        const access = this.getAccess(roomId);
+        return access.ownerId === userId || access.members.has(userId) || access.roles.has(userId);
+    }
+    
+    /**
+     * Remember that a user was let into a room, so they can come back without a password or invite
+     */
+    grantAccess(roomId, userId) {
+        this.getAccess(roomId).members.add(userId);
+        this.scheduleSave();
+    }
+    
+    /**
+     * Keep a user out of a room for a while; a protected room then needs a password or invite again
+     */
+    ban(roomId, userId, duration) {
+        const access = this.getAccess(roomId);
+        access.bans.set(userId, Date.now() + duration);
+        if (access.members.delete(userId)) {
+            this.scheduleSave();
+        }
+    }
+    
+    /**
+     * Check whether a user is currently kept out of a room
+     */
+    isBanned(roomId, userId) {
+        const bans = this.getAccess(roomId).bans;
+        if (!bans.has(userId)) return false;
+        
+        if (bans.get(userId) <= Date.now()) {
+            bans.delete(userId);
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Describe a room's roles for clients
+     * Users not listed in roles are editors
+     */
+    getAccessState(roomId) {
+        const access = this.getAccess(roomId);
+        return {
+            ownerId: access.ownerId,
+            readOnly: access.readOnly,
+            roles: Object.fromEntries(access.roles),
+            muted: Array.from(access.muted),
+            hasPassword: !!access.passwordHash,
+            inviteOnly: access.inviteOnly
+        };
+    }
 }
 
 module.exports = RoomManager;
@@ -2,8 +2,19 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 const RoomManager = require('./rooms');
 const StateManager = require('./state-manager');
+const FileStorage = require('./file-storage');
+const SessionManager = require('./sessions');
+const ImageStore = require('./image-store');
+const VoteManager = require('./votes');
+const InviteSigner = require('./invites');
+const RateLimiter = require('./rate-limiter');
+const { validatePayload } = require('./validation');
+const BoardExport = require('../client/board-export');
+const BoardImport = require('../client/board-import');
+const StrokeSmoothing = require('../client/stroke-smoothing');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,15 +31,450 @@ const io = new Server(server, {
         methods: ["GET", "POST"],
         credentials: true
     },
-    transports: ['websocket', 'polling']
+    transports: ['websocket', 'polling'],
+    // Board imports arrive as a single message
+    maxHttpBufferSize: BoardImport.MAX_IMPORT_BYTES
 });
 
+// Room used when no room is named in the URL
+const DEFAULT_ROOM = 'main';
+
+// Fields a client may change on an existing element, and those only text elements have
+const EDITABLE_FIELDS = ['points', 'color', 'text', 'font', 'fontSize'];
+const TEXT_ONLY_FIELDS = ['text', 'font', 'fontSize'];
+
+// Why edits and deletions of elements on locked layers are refused
+const LOCKED_ELEMENTS_ERROR = 'Some elements are on a locked layer and were not changed';
+
+// How long a disconnected user's redo history is kept for a reconnect
+const USER_GRACE_PERIOD = parseInt(process.env.USER_GRACE_PERIOD_MS, 10) || 5 * 60 * 1000;
+
+// How long after a clear anyone can bring the board back, and how long a vote to clear stays open
+const CLEAR_UNDO_WINDOW = parseInt(process.env.CLEAR_UNDO_WINDOW_MS, 10) || 10 * 60 * 1000;
+const CLEAR_VOTE_TIMEOUT = parseInt(process.env.CLEAR_VOTE_TIMEOUT_MS, 10) || 30 * 1000;
+
+// How long a kicked user is kept out of the room
+const KICK_BAN_DURATION = parseInt(process.env.KICK_BAN_MS, 10) || 10 * 60 * 1000;
+
+// The only events a spectator (view-only) socket may send; everything else is ignored
+const SPECTATOR_EVENTS = ['join_room', 'leave_room', 'sync_request', 'list_snapshots'];
+
+// Longest an invite link can stay valid, and the longest room password accepted
+const MAX_INVITE_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Who REST changes are made as when no session token is sent, for callers with the API_KEY in X-Api-Key
+// Without API_KEY set, REST changes need a session token
+const API_USER = { id: 'api', username: 'API' };
+const API_KEY = process.env.API_KEY || null;
+
+// Token-bucket limits per user and event type: rate is events per second, burst how many may come at once
+// Changes a client queues offline allow a burst as large as its queue (websocket.js maxOutboxSize)
+// RATE_LIMITS (JSON, e.g. {"drawing_step":{"rate":60,"burst":120}}) overrides entries; '*' covers other events
+const RATE_LIMITS = {
+    drawing_step: { rate: 120, burst: 240 },
+    cursor_move: { rate: 30, burst: 60 },
+    stroke_complete: { rate: 30, burst: 500 },
+    update_stroke: { rate: 20, burst: 500 },
+    delete_strokes: { rate: 20, burst: 500 },
+    import_strokes: { rate: 1, burst: 20 },
+    undo: { rate: 20, burst: 200 },
+    redo: { rate: 20, burst: 200 },
+    clear_canvas: { rate: 0.2, burst: 3 },
+    undo_clear: { rate: 1, burst: 5 },
+    join_room: { rate: 1, burst: 10 },
+    save_snapshot: { rate: 0.5, burst: 5 },
+    upload_image: { rate: 0.1, burst: 10 },
+    '*': { rate: 20, burst: 200 },
+    ...readRateLimits(process.env.RATE_LIMITS)
+};
+
+// Dropped events a user may send within the strike window before being disconnected
+const RATE_LIMIT_MAX_STRIKES = parseInt(process.env.RATE_LIMIT_MAX_STRIKES, 10) || 200;
+const RATE_LIMIT_STRIKE_WINDOW = 10 * 1000;
+
+// Least time (ms) between two rate limit warnings to the same socket
+const RATE_WARNING_INTERVAL = 1000;
+
+// How often (ms) images no room uses any more are deleted, and how long an upload has to be placed before it counts
+const IMAGE_PRUNE_INTERVAL = 60 * 60 * 1000;
+const IMAGE_UNUSED_AGE = 60 * 60 * 1000;
+
+// Most strokes, and points across all of them, a room may hold before new content is refused
+const ROOM_MAX_STROKES = parseInt(process.env.ROOM_MAX_STROKES, 10) || 20000;
+const ROOM_MAX_POINTS = parseInt(process.env.ROOM_MAX_POINTS, 10) || 2000000;
+const BOARD_FULL_ERROR = `The board is full (${ROOM_MAX_STROKES} strokes or ${ROOM_MAX_POINTS} points); delete or clear something first`;
+
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
 
+// Shareable room URLs (e.g. /r/design-review) serve the same client
+app.get('/r/:roomId', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/index.html'));
+});
+
 // Initialize managers
-const roomManager = new RoomManager();
-const stateManager = new StateManager();
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+const roomManager = new RoomManager(path.join(dataDir, 'rooms.json'));
+const stateManager = new StateManager(new FileStorage(dataDir), {
+    clearUndoWindow: CLEAR_UNDO_WINDOW,
+    maxRoomStrokes: ROOM_MAX_STROKES,
+    maxRoomPoints: ROOM_MAX_POINTS
+});
+const sessionManager = new SessionManager(path.join(dataDir, 'sessions.json'));
+const imageStore = new ImageStore(path.join(dataDir, 'images'));
+const voteManager = new VoteManager(CLEAR_VOTE_TIMEOUT);
+const inviteSigner = new InviteSigner(process.env.INVITE_SECRET || InviteSigner.loadSecret(path.join(dataDir, 'invite-secret')));
+const rateLimiter = new RateLimiter(RATE_LIMITS, {
+    strikeWindow: RATE_LIMIT_STRIKE_WINDOW,
+    maxStrikes: RATE_LIMIT_MAX_STRIKES
+});
+
+// Forget rate limit state of users who have calmed down
+setInterval(() => rateLimiter.prune(), 60 * 1000).unref();
+
+// Delete uploaded images that were never placed, or whose elements are gone from every board, snapshot and history
+setInterval(() => {
+    const inUse = new Set(Array.from(stateManager.getImageSources(), src => path.basename(src)));
+    imageStore.prune(inUse, IMAGE_UNUSED_AGE).catch(error => {
+        console.error('Failed to remove unused images:', error.message);
+    });
+}, IMAGE_PRUNE_INTERVAL).unref();
+
+// Restore room histories, user identities and roles saved before the last restart
+stateManager.load();
+sessionManager.load();
+roomManager.load();
+
+// Look up the room named in an API URL, answering 404 if it has no history or users
+function getExistingRoom(req, res) {
+    const roomId = normalizeRoomId(req.params.roomId);
+    if (!isRoomTaken(roomId)) {
+        res.status(404).json({ error: `Room ${roomId} not found` });
+        return null;
+    }
+    return canAccessRoom(req, res, roomId) ? roomId : null;
+}
+
+// Check that an API caller may see a room, answering 401 if not
+// Protected rooms need the caller's session token (of a user let in) or the password, as headers
+function canAccessRoom(req, res, roomId) {
+    const session = sessionManager.getSession(req.get('X-Session-Token'));
+    if (roomManager.isProtected(roomId) &&
+        !(session && roomManager.hasAccess(roomId, session.userId)) &&
+        !roomManager.checkPassword(roomId, req.get('X-Room-Password'))) {
+        res.status(401).json({ error: `Room ${roomId} needs a password or invite` });
+        return false;
+    }
+    return true;
+}
+
+// Check an X-Api-Key header against API_KEY; both are hashed first so the comparison takes the same time for any key
+function checkApiKey(key) {
+    if (!API_KEY || typeof key !== 'string') return false;
+    
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(key), hash(API_KEY));
+}
+
+// Get who an API change is made as: the user whose session token is sent, or the shared API user if the API key is
+// Answers 401 and returns null without either, or 403 if that user can't change the room's board
+function getApiEditor(req, res, roomId) {
+    const session = sessionManager.getSession(req.get('X-Session-Token'));
+    const user = session
+        ? { id: session.userId, username: session.username }
+        : (checkApiKey(req.get('X-Api-Key')) ? API_USER : null);
+    if (!user) {
+        res.status(401).json({ error: 'Changes need a session token or API key' });
+        return null;
+    }
+    
+    const restriction = roomManager.getDrawRestriction(roomId, user.id);
+    if (restriction) {
+        res.status(403).json({ error: restriction });
+        return null;
+    }
+    return user;
+}
+
+// Take a rate limit token for an API change, counted like the matching socket event
+// Answers 429 with Retry-After and returns false if the user is over the limit
+function takeApiToken(res, user, event) {
+    const retryAfter = rateLimiter.take(user.id, event);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfter / 1000)))
+            .status(429).json({ error: 'Too many requests, slow down' });
+        return false;
+    }
+    return true;
+}
+
+// List rooms with their user and stroke counts; protected rooms are only listed for callers who may see them
+app.get('/api/rooms', (req, res) => {
+    const session = sessionManager.getSession(req.get('X-Session-Token'));
+    const roomIds = new Set([...stateManager.getRoomIds(), ...roomManager.getAllRooms()]);
+    
+    const rooms = Array.from(roomIds)
+        .filter(roomId => !roomManager.isProtected(roomId) || (session && roomManager.hasAccess(roomId, session.userId)))
+        .sort()
+        .map(roomId => {
+            const users = roomManager.getUsers(roomId);
+            const spectators = users.filter(u => u.spectator).length;
+            return {
+                roomId,
+                users: users.length - spectators,
+                spectators,
+                strokes: stateManager.hasRoom(roomId) ? stateManager.getStrokeCount(roomId) : 0,
+                protected: roomManager.isProtected(roomId)
+            };
+        });
+    res.json({ rooms });
+});
+
+// Get a room's strokes and layers
+app.get('/api/rooms/:roomId/strokes', (req, res) => {
+    const roomId = getExistingRoom(req, res);
+    if (!roomId) return;
+    
+    res.json({
+        roomId,
+        seq: stateManager.getSeq(roomId),
+        layers: stateManager.getLayers(roomId),
+        strokes: stateManager.getStrokes(roomId)
+    });
+});
+
+// Add strokes to a room (created if needed) as one undoable action, broadcast like a socket import
+// The body is { strokes[], layers[]?, layerId? } or a single stroke
+app.post('/api/rooms/:roomId/strokes', express.json({ limit: BoardImport.MAX_IMPORT_BYTES }), (req, res) => {
+    const roomId = normalizeRoomId(req.params.roomId);
+    if (!canAccessRoom(req, res, roomId)) return;
+    
+    const user = getApiEditor(req, res, roomId);
+    if (!user || !takeApiToken(res, user, 'import_strokes')) return;
+    
+    const data = req.body && Array.isArray(req.body.strokes) ? req.body : { strokes: [req.body] };
+    const result = importIntoRoom(roomId, user, data);
+    if (result.error) {
+        res.status(400).json(result);
+        return;
+    }
+    res.status(201).json({ ...result, seq: stateManager.getSeq(roomId) });
+});
+
+// Delete a stroke as one undoable action, broadcast like a socket deletion
+app.delete('/api/rooms/:roomId/strokes/:strokeId', (req, res) => {
+    const roomId = getExistingRoom(req, res);
+    if (!roomId) return;
+    
+    const user = getApiEditor(req, res, roomId);
+    if (!user) return;
+    
+    const stroke = stateManager.getStrokes(roomId).find(s => s.id === req.params.strokeId);
+    if (!stroke) {
+        res.status(404).json({ error: 'Stroke not found' });
+        return;
+    }
+    if (stateManager.isLayerLocked(roomId, stroke.layerId)) {
+        res.status(409).json({ error: 'The stroke is on a locked layer' });
+        return;
+    }
+    if (!takeApiToken(res, user, 'delete_strokes')) return;
+    
+    deleteFromRoom(roomId, user, [stroke.id]);
+    res.status(204).end();
+});
+
+// List the users in a room with their roles
+app.get('/api/rooms/:roomId/users', (req, res) => {
+    const roomId = getExistingRoom(req, res);
+    if (!roomId) return;
+    
+    const access = roomManager.getAccessState(roomId);
+    res.json({
+        users: roomManager.getUsers(roomId).map(user => ({
+            id: user.id,
+            username: user.username,
+            color: user.color,
+            role: roomManager.getRole(roomId, user.id),
+            muted: access.muted.includes(user.id),
+            spectator: user.spectator
+        }))
+    });
+});
+
+// Export a room's visible layers as SVG
+app.get('/api/rooms/:roomId/export.svg', (req, res) => {
+    const roomId = getExistingRoom(req, res);
+    if (!roomId) return;
+    
+    const svg = BoardExport.renderSvg(stateManager.getStrokes(roomId), stateManager.getLayers(roomId));
+    res.type('image/svg+xml').attachment(`${roomId}.svg`).send(svg);
+});
+
+// Export a room's full history (all layers and strokes) as JSON
+app.get('/api/rooms/:roomId/export.json', (req, res) => {
+    const roomId = getExistingRoom(req, res);
+    if (!roomId) return;
+    
+    const json = BoardExport.toJson({
+        roomId,
+        seq: stateManager.getSeq(roomId),
+        layers: stateManager.getLayers(roomId),
+        strokes: stateManager.getStrokes(roomId)
+    });
+    res.type('application/json').attachment(`${roomId}.json`).send(json);
+});
+
+// Look up the snapshot named in an API URL, answering 404 if the room doesn't have it
+function getExistingSnapshot(req, res) {
+    const roomId = getExistingRoom(req, res);
+    if (!roomId) return null;
+    
+    const snapshot = stateManager.getSnapshot(roomId, req.params.snapshotId);
+    if (!snapshot) {
+        res.status(404).json({ error: 'Snapshot not found' });
+        return null;
+    }
+    return { roomId, snapshot };
+}
+
+// List a room's named snapshots
+app.get('/api/rooms/:roomId/snapshots', (req, res) => {
+    const roomId = getExistingRoom(req, res);
+    if (!roomId) return;
+    
+    res.json({ snapshots: stateManager.getSnapshots(roomId) });
+});
+
+// Save the room's current board as a named snapshot
+app.post('/api/rooms/:roomId/snapshots', express.json(), (req, res) => {
+    const roomId = getExistingRoom(req, res);
+    if (!roomId) return;
+    if (!getApiEditor(req, res, roomId)) return;
+    
+    const result = saveSnapshot(roomId, req.body && req.body.name, null);
+    res.status(result.error ? 409 : 201).json(result);
+});
+
+// Get a snapshot with its strokes and layers
+app.get('/api/rooms/:roomId/snapshots/:snapshotId', (req, res) => {
+    const found = getExistingSnapshot(req, res);
+    if (found) res.json(found.snapshot);
+});
+
+// Preview a snapshot as SVG; snapshots never change, so it can be cached (only privately for protected rooms)
+app.get('/api/rooms/:roomId/snapshots/:snapshotId/thumbnail.svg', (req, res) => {
+    const found = getExistingSnapshot(req, res);
+    if (!found) return;
+    
+    const svg = BoardExport.renderSvg(found.snapshot.strokes, found.snapshot.layers);
+    const visibility = roomManager.isProtected(found.roomId) ? 'private' : 'public';
+    res.set('Cache-Control', `${visibility}, max-age=31536000, immutable`).type('image/svg+xml').send(svg);
+});
+
+// Replace the room's board with a snapshot
+app.post('/api/rooms/:roomId/snapshots/:snapshotId/restore', (req, res) => {
+    const found = getExistingSnapshot(req, res);
+    if (!found || !getApiEditor(req, res, found.roomId)) return;
+    
+    const op = restoreSnapshot(found.roomId, found.snapshot.id, null);
+    res.json({ seq: op.seq });
+});
+
+// Start a new room from a snapshot, optionally with a chosen name
+app.post('/api/rooms/:roomId/snapshots/:snapshotId/fork', express.json(), (req, res) => {
+    const found = getExistingSnapshot(req, res);
+    if (!found || !getApiEditor(req, res, found.roomId)) return;
+    
+    const result = forkSnapshot(found.roomId, found.snapshot.id, req.body && req.body.roomId);
+    res.status(result.error ? 409 : 201).json(result);
+});
+
+// Delete a snapshot
+app.delete('/api/rooms/:roomId/snapshots/:snapshotId', (req, res) => {
+    const found = getExistingSnapshot(req, res);
+    if (!found || !getApiEditor(req, res, found.roomId)) return;
+    
+    stateManager.deleteSnapshot(found.roomId, found.snapshot.id);
+    broadcastSnapshots(found.roomId);
+    res.status(204).end();
+});
+
+// Room API bodies that aren't valid JSON or are too large
+app.use('/api/rooms', (error, req, res, next) => {
+    const tooLarge = error.type === 'entity.too.large';
+    res.status(error.status || 500).json({
+        error: tooLarge ? 'Request body is too large' : 'Request body must be valid JSON'
+    });
+});
+
+// Check that an image upload comes from a user in the room named by X-Room-Id, with their X-Session-Token,
+// who may add to its board and hasn't used up their uploads; runs before the body is read
+function checkUploader(req, res, next) {
+    const session = sessionManager.getSession(req.get('X-Session-Token'));
+    const roomId = normalizeRoomId(req.get('X-Room-Id'));
+    if (!session || !roomManager.getUser(roomId, session.userId)) {
+        res.status(401).json({ error: 'Images can only be uploaded from inside a room' });
+        return;
+    }
+    
+    const restriction = roomManager.getDrawRestriction(roomId, session.userId);
+    if (restriction) {
+        res.status(403).json({ error: restriction });
+        return;
+    }
+    
+    const retryAfter = rateLimiter.take(session.userId, 'upload_image');
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfter / 1000)))
+            .status(429).json({ error: 'Too many image uploads; wait a moment and try again' });
+        return;
+    }
+    next();
+}
+
+// Upload a PNG or JPEG image to place on a board; answers with the src image elements use
+app.post('/api/images', checkUploader, express.raw({ type: BoardImport.IMAGE_TYPES, limit: BoardImport.MAX_IMAGE_BYTES }), async (req, res) => {
+    let fileName;
+    try {
+        fileName = await imageStore.save(req.body);
+    } catch (error) {
+        console.error('Failed to store image:', error.message);
+        res.status(500).json({ error: 'The image could not be stored' });
+        return;
+    }
+    
+    if (!fileName) {
+        res.status(415).json({ error: 'Only PNG and JPEG images can be imported' });
+        return;
+    }
+    res.status(201).json({ src: `/api/images/${fileName}` });
+});
+
+// Uploads over the size limit or with a broken body
+app.use('/api/images', (error, req, res, next) => {
+    const tooLarge = error.type === 'entity.too.large';
+    res.status(error.status || 500).json({
+        error: tooLarge ? `Images are limited to ${BoardImport.MAX_IMAGE_BYTES / (1024 * 1024)} MB` : 'Image upload failed'
+    });
+});
+
+// Serve a stored image; names are content hashes, so they can be cached forever
+app.get('/api/images/:fileName', (req, res) => {
+    const file = imageStore.getPath(req.params.fileName);
+    if (!file) {
+        res.status(404).json({ error: 'Image not found' });
+        return;
+    }
+    
+    res.sendFile(file, { maxAge: '1y', immutable: true }, (error) => {
+        if (error && !res.headersSent) res.status(404).json({ error: 'Image not found' });
+    });
+});
+
+// Map of "roomId:userId" -> timer that drops a departed user's redo history
+const pendingCleanups = new Map();
 
 // Generate random color for new users
 function generateUserColor() {
@@ -50,75 +496,734 @@ function generateUsername() {
     return `${adj}${noun}${num}`;
 }
 
+// Normalize a requested room name into a safe room ID
+function normalizeRoomId(roomId) {
+    const normalized = String(roomId || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 64);
+    return normalized || DEFAULT_ROOM;
+}
+
+// Check whether a room name is already in use, by history or by people in it
+function isRoomTaken(roomId) {
+    return stateManager.hasRoom(roomId) || roomManager.roomExists(roomId);
+}
+
+// Read rate limit overrides from JSON, ignoring (with a warning) anything that isn't a valid limit
+function readRateLimits(json) {
+    if (!json) return {};
+    
+    let overrides;
+    try {
+        overrides = JSON.parse(json);
+    } catch (error) {
+        console.warn('RATE_LIMITS is not valid JSON, using the default limits');
+        return {};
+    }
+    
+    const limits = {};
+    for (const [event, limit] of Object.entries(overrides || {})) {
+        if (limit && limit.rate > 0 && limit.burst >= 1) {
+            limits[event] = { rate: Number(limit.rate), burst: Number(limit.burst) };
+        } else {
+            console.warn(`Ignoring rate limit for ${event}: it needs a rate above 0 and a burst of at least 1`);
+        }
+    }
+    return limits;
+}
+
+// Tell everyone in a room that its snapshot list changed
+function broadcastSnapshots(roomId) {
+    io.to(roomId).emit('snapshots_updated', { snapshots: stateManager.getSnapshots(roomId) });
+}
+
+// Save a named snapshot of a room (createdBy is null for API requests)
+function saveSnapshot(roomId, name, createdBy) {
+    const snapshotName = typeof name === 'string' ? name.trim().slice(0, 50) : '';
+    const snapshot = stateManager.saveSnapshot(roomId, snapshotName, createdBy);
+    if (!snapshot) {
+        return { error: `Rooms keep at most ${StateManager.MAX_SNAPSHOTS} snapshots; delete one first` };
+    }
+    
+    broadcastSnapshots(roomId);
+    return { snapshot };
+}
+
+// Restore a snapshot in a room and send the restored board to everyone in it
+function restoreSnapshot(roomId, snapshotId, username) {
+    const snapshot = stateManager.getSnapshot(roomId, snapshotId);
+    const op = stateManager.restoreSnapshot(roomId, snapshotId);
+    if (!op) return null;
+    
+    io.to(roomId).emit('board_restored', {
+        ops: [op],
+        seq: op.seq,
+        username,
+        snapshotName: snapshot.name
+    });
+    return op;
+}
+
+// Fork a snapshot into a new room, named after the original unless a free name is requested
+function forkSnapshot(roomId, snapshotId, requestedRoomId) {
+    let newRoomId;
+    if (requestedRoomId) {
+        newRoomId = normalizeRoomId(requestedRoomId);
+        if (isRoomTaken(newRoomId)) {
+            return { error: `Room ${newRoomId} already exists` };
+        }
+    } else {
+        const base = `${roomId.slice(0, 52)}-fork`;
+        newRoomId = base;
+        for (let n = 2; isRoomTaken(newRoomId); n++) {
+            newRoomId = `${base}-${n}`;
+        }
+    }
+    
+    stateManager.forkSnapshot(roomId, snapshotId, newRoomId);
+    return { roomId: newRoomId };
+}
+
+// Import strokes (and layers they name) into a room as one undoable action by a user, and broadcast them
+// Socket imports and REST posts both come through here. Returns { count, skipped, ids } or { error }
+function importIntoRoom(roomId, user, data) {
+    if (!data || !Array.isArray(data.strokes) || data.strokes.length === 0) {
+        return { error: 'Nothing to import' };
+    }
+    if (data.strokes.length > BoardImport.MAX_IMPORT_STROKES) {
+        return { error: `Imports are limited to ${BoardImport.MAX_IMPORT_STROKES} elements` };
+    }
+    
+    // Layers named in the file are created if the room doesn't have them
+    const layers = (Array.isArray(data.layers) ? data.layers : [])
+        .map(BoardImport.sanitizeLayer)
+        .filter(Boolean);
+    const findLayer = (layerId) => stateManager.getLayer(roomId, layerId) || layers.find(l => l.id === layerId);
+    
+    // Strokes on a layer neither the room nor the file has go into the importer's active layer
+    const fallback = stateManager.getLayer(roomId, data.layerId) || stateManager.getLayers(roomId)[0];
+    
+    const strokes = [];
+    let skipped = 0;
+    let duplicates = 0;
+    for (const item of data.strokes) {
+        const sanitized = BoardImport.sanitizeStroke(item);
+        const stroke = sanitized && StrokeSmoothing.simplifyStroke(sanitized);
+        const clientStrokeId = item && typeof item.clientStrokeId === 'string' ? item.clientStrokeId : null;
+        
+        // Replayed from an offline queue; this stroke is already in the room
+        if (clientStrokeId && stateManager.getStrokeByClientId(roomId, clientStrokeId)) {
+            duplicates++;
+            continue;
+        }
+        
+        const layer = stroke && (findLayer(stroke.layerId) || fallback);
+        if (!stroke || layer.locked) {
+            skipped++;
+            continue;
+        }
+        
+        const strokeData = {
+            ...stroke,
+            layerId: layer.id,
+            userId: user.id,
+            username: user.username,
+            timestamp: Date.now()
+        };
+        if (clientStrokeId) strokeData.clientStrokeId = clientStrokeId;
+        strokes.push(strokeData);
+    }
+    
+    if (strokes.length === 0) {
+        return duplicates > 0 ? { count: 0, skipped, ids: [] } : { error: 'None of the elements could be imported' };
+    }
+    
+    if (!stateManager.hasRoomFor(roomId, strokes)) {
+        return { error: BOARD_FULL_ERROR };
+    }
+    
+    // Only create the layers something was imported into
+    const usedLayers = layers.filter(l => strokes.some(s => s.layerId === l.id));
+    const ops = stateManager.importStrokes(roomId, user.id, strokes, usedLayers);
+    
+    io.to(roomId).emit('strokes_imported', {
+        ops,
+        userId: user.id,
+        seq: stateManager.getSeq(roomId)
+    });
+    return { count: strokes.length, skipped, ids: ops.filter(op => op.type === 'add').map(op => op.stroke.id) };
+}
+
+// Delete strokes as one undoable action by a user, and broadcast it; strokes on locked layers are left alone
+// Returns the ops applied, or null if nothing was deleted
+function deleteFromRoom(roomId, user, strokeIds) {
+    const deletable = stateManager.getStrokes(roomId)
+        .filter(s => strokeIds.includes(s.id) && !stateManager.isLayerLocked(roomId, s.layerId))
+        .map(s => s.id);
+    
+    const ops = deletable.length > 0 ? stateManager.deleteStrokes(roomId, user.id, deletable) : null;
+    if (ops) {
+        io.to(roomId).emit('strokes_deleted', {
+            ops,
+            userId: user.id,
+            seq: stateManager.getSeq(roomId)
+        });
+    }
+    return ops;
+}
+
+// Clear a room's board and tell everyone how long it can be undone
+// Returns false if the board was already empty
+function clearRoom(roomId, user) {
+    const op = stateManager.clearStrokes(roomId, user.id, user.username);
+    if (!op) return false;
+    
+    io.to(roomId).emit('canvas_cleared', {
+        userId: user.id,
+        username: user.username,
+        seq: op.seq,
+        undoWindow: CLEAR_UNDO_WINDOW
+    });
+    return true;
+}
+
+// Clear a room's board, or open a vote first if the room requires one
+// Returns the ack for the requester
+function requestClear(roomId, user) {
+    if (stateManager.getStrokeCount(roomId) === 0) {
+        return { error: 'The board is already empty' };
+    }
+    
+    // Viewers, muted users and spectators don't get a say
+    const voterIds = roomManager.getUsers(roomId)
+        .filter(u => !u.spectator && roomManager.canDraw(roomId, u.id))
+        .map(u => u.id);
+    const required = Math.ceil(stateManager.getSettings(roomId).clearVoteShare * voterIds.length);
+    
+    // The requester's own approval is enough
+    if (required <= 1) {
+        clearRoom(roomId, user);
+        return {};
+    }
+    
+    const requestedBy = { id: user.id, username: user.username };
+    const vote = voteManager.start(roomId, { requestedBy, voterIds, required }, (result, ended) => {
+        io.to(roomId).emit('clear_vote_ended', { voteId: ended.id, result });
+        if (result === 'passed') {
+            clearRoom(roomId, ended.requestedBy);
+        }
+    });
+    if (!vote) {
+        return { error: 'A vote to clear the board is already open' };
+    }
+    
+    io.to(roomId).emit('clear_vote_started', {
+        ...voteManager.getTally(vote),
+        userId: requestedBy.id,
+        username: requestedBy.username,
+        timeout: CLEAR_VOTE_TIMEOUT
+    });
+    return { voteId: vote.id };
+}
+
+// Describe a room's last clear for a joining client, if it can still be undone
+function getClearUndoState(roomId) {
+    const clear = stateManager.getUndoableClear(roomId);
+    if (!clear) return null;
+    
+    return {
+        seq: clear.seq,
+        username: clear.username,
+        undoWindow: clear.clearedAt + CLEAR_UNDO_WINDOW - Date.now()
+    };
+}
+
+// Decide whether a user may join a room, letting them in for good if they bring a valid password or invite
+// An invite's role only applies to users new to the room, so it can't undo a role the owner set since. Returns {} or { error, code }
+function authorizeJoin(roomId, userId, credentials) {
+    const { password, invite: token } = credentials || {};
+    
+    if (roomManager.isBanned(roomId, userId)) {
+        return { error: 'You were removed from this room', code: 'banned' };
+    }
+    
+    const invite = token ? inviteSigner.verify(token) : null;
+    if (invite && invite.roomId === roomId) {
+        if (!roomManager.isMember(roomId, userId)) {
+            roomManager.setRole(roomId, userId, invite.role);
+        }
+        roomManager.grantAccess(roomId, userId);
+        return {};
+    }
+    
+    if (roomManager.hasAccess(roomId, userId)) return {};
+    
+    if (token) {
+        return { error: 'This invite link is invalid or has expired', code: 'invalid_invite' };
+    }
+    if (!roomManager.getAccess(roomId).passwordHash) {
+        return { error: 'This room is invite-only', code: 'invite_required' };
+    }
+    if (!password) {
+        return { error: 'This room needs a password', code: 'password_required' };
+    }
+    if (!roomManager.checkPassword(roomId, String(password))) {
+        return { error: 'Wrong password', code: 'wrong_password' };
+    }
+    
+    roomManager.grantAccess(roomId, userId);
+    return {};
+}
+
+// Tell everyone in a room that roles or the board lock changed
+function broadcastAccess(roomId) {
+    io.to(roomId).emit('access_updated', roomManager.getAccessState(roomId));
+}
+
+// Drop a user's redo history once they have been gone for the grace period
+function scheduleHistoryCleanup(roomId, userId) {
+    const key = `${roomId}:${userId}`;
+    cancelHistoryCleanup(roomId, userId);
+    
+    pendingCleanups.set(key, setTimeout(() => {
+        pendingCleanups.delete(key);
+        stateManager.cleanupUserHistory(roomId, userId);
+    }, USER_GRACE_PERIOD));
+}
+
+// Keep a returning user's redo history
+function cancelHistoryCleanup(roomId, userId) {
+    const key = `${roomId}:${userId}`;
+    if (pendingCleanups.has(key)) {
+        clearTimeout(pendingCleanups.get(key));
+        pendingCleanups.delete(key);
+    }
+}
+
+// Resolve the session token sent in the handshake to a persistent identity
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.sessionToken;
+    
+    socket.data.session = sessionManager.getSession(token) || sessionManager.createSession({
+        username: generateUsername(),
+        color: generateUserColor()
+    });
+    next();
+});
+
+// Check the room a connecting client asks for before it joins, so a refused client gets a
+// connect_error instead of a connection (reconnects name their room too)
+io.use((socket, next) => {
+    const auth = socket.handshake.auth || {};
+    if (!auth.roomId) return next();
+    
+    const roomId = normalizeRoomId(auth.roomId);
+    const refusal = authorizeJoin(roomId, socket.data.session.userId, auth);
+    if (!refusal.error) return next();
+    
+    const error = new Error(refusal.error);
+    error.data = { roomId, code: refusal.code };
+    next(error);
+});
+
+// Build the history part of an init/sync payload: missed ops when possible, else a full snapshot
+function getRoomSyncState(roomId, sinceSeq) {
+    const ops = sinceSeq === undefined ? null : stateManager.getOpsSince(roomId, sinceSeq);
+    const state = { seq: stateManager.getSeq(roomId) };
+    
+    if (ops) {
+        state.ops = ops;
+    } else {
+        state.strokes = stateManager.getStrokes(roomId);
+        state.layers = stateManager.getLayers(roomId);
+    }
+    return state;
+}
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    const session = socket.data.session;
+    console.log(`User connected: ${session.userId} (socket ${socket.id})`);
     
-    // Assign user properties
+    // Assign user properties from the session
     const userData = {
-        id: socket.id,
-        username: generateUsername(),
-        color: generateUserColor(),
+        id: session.userId,
+        socketId: socket.id,
+        username: session.username,
+        color: session.color,
         cursorX: 0,
         cursorY: 0,
-        isDrawing: false
+        isDrawing: false,
+        // Connected from a view-only screen (e.g. a projector or an embed)
+        spectator: !!(socket.handshake.auth && socket.handshake.auth.spectator === true)
     };
     
-    // Default room
-    const defaultRoom = 'main';
+    // Hand the token back so the client can resend it on reconnect
+    socket.emit('session', {
+        sessionToken: session.token,
+        userId: userData.id
+    });
+    
+    // Room the socket is currently in (null until join_room)
+    let currentRoom = null;
     
-    // Join room and store user
-    socket.join(defaultRoom);
-    roomManager.addUser(defaultRoom, userData);
+    // When this socket was last warned about its rate
+    let lastRateWarning = 0;
     
-    // Send current state to new user
-    socket.emit('init', {
-        userId: socket.id,
-        username: userData.username,
-        userColor: userData.color,
-        strokes: stateManager.getStrokes(defaultRoom),
-        users: roomManager.getUsers(defaultRoom)
+    // Events over their rate limit are dropped; the sender is warned, and disconnected if it keeps going
+    socket.use((packet, next) => {
+        // Events still buffered when the socket was disconnected for flooding
+        if (socket.disconnected) return;
+        
+        const event = packet[0];
+        const retryAfter = rateLimiter.take(userData.id, event);
+        if (retryAfter === 0) return next();
+        
+        const ack = packet[packet.length - 1];
+        if (typeof ack === 'function') ack({ error: 'Too many requests, slow down', retryAfter });
+        
+        if (rateLimiter.strike(userData.id)) {
+            console.warn(`Disconnecting ${userData.id} for flooding ${event}`);
+            socket.emit('rate_limited', { event, retryAfter, disconnected: true });
+            socket.disconnect(true);
+            return;
+        }
+        
+        const now = Date.now();
+        if (now - lastRateWarning >= RATE_WARNING_INTERVAL) {
+            lastRateWarning = now;
+            socket.emit('rate_limited', { event, retryAfter });
+        }
     });
     
-    // Notify others about new user
-    socket.to(defaultRoom).emit('user_joined', userData);
+    // Spectators only watch; requests that expect an answer are told why nothing happened
+    if (userData.spectator) {
+        socket.use((packet, next) => {
+            if (SPECTATOR_EVENTS.includes(packet[0])) return next();
+            
+            const ack = packet[packet.length - 1];
+            if (typeof ack === 'function') ack({ error: 'Spectators can\'t change the board' });
+        });
+    }
+    
+    // Payloads that don't match their event's schema never reach the handlers; handlers get the clean copy
+    socket.use((packet, next) => {
+        const [event, data] = packet;
+        const result = validatePayload(event, data);
+        if (!result.error) {
+            packet[1] = result.data;
+            return next();
+        }
+        
+        console.warn(`Rejected ${event} from ${userData.id}: ${result.error}`);
+        socket.emit('payload_rejected', { event, field: result.field, error: result.error });
+        
+        const ack = packet[packet.length - 1];
+        if (typeof ack === 'function') ack({ error: result.error });
+    });
+    
+    // Leave the current room and notify remaining users
+    function leaveCurrentRoom() {
+        if (!currentRoom) return;
+        
+        const roomId = currentRoom;
+        currentRoom = null;
+        
+        socket.leave(roomId);
+        
+        // Another tab with the same session may have replaced this entry
+        const member = roomManager.getUser(roomId, userData.id);
+        if (!member || member.socketId !== socket.id) return;
+        
+        roomManager.removeUser(roomId, userData.id);
+        roomManager.markLeft(roomId, userData.id);
+        scheduleHistoryCleanup(roomId, userData.id);
+        
+        socket.to(roomId).emit('user_left', {
+            userId: userData.id,
+            username: userData.username
+        });
+    }
+    
+    // Lets the room owner remove this socket from its room
+    socket.data.leaveRoom = leaveCurrentRoom;
+    
+    // Get why this user can't change the current room's board, or null if they can
+    const getDrawRestriction = () => roomManager.getDrawRestriction(currentRoom, userData.id);
+    
+    // Check that this user owns the current room, answering the ack if not
+    const requireOwner = (reply) => {
+        if (roomManager.isOwner(currentRoom, userData.id)) return true;
+        reply({ error: 'Only the room owner can do that' });
+        return false;
+    };
+    
+    // Handle room join (also used to switch rooms)
+    socket.on('join_room', (data) => {
+        const roomId = normalizeRoomId(data && data.roomId);
+        if (roomId === currentRoom) return;
+        
+        leaveCurrentRoom();
+        
+        // Protected rooms need a password or invite, and kicked users stay out until their ban runs out
+        const refusal = authorizeJoin(roomId, userData.id, data);
+        if (refusal.error) {
+            socket.emit('join_refused', { roomId, ...refusal });
+            return;
+        }
+        
+        // Join room and store user; the first user in a room (who isn't only watching) owns it
+        currentRoom = roomId;
+        socket.join(roomId);
+        roomManager.addUser(roomId, userData);
+        const claimed = !userData.spectator && roomManager.claimOwnership(roomId, userData.id);
+        cancelHistoryCleanup(roomId, userData.id);
+        
+        // Joining an open room as its owner with a password protects it
+        const password = data && data.password;
+        if (claimed && typeof password === 'string' && password && !roomManager.isProtected(roomId)) {
+            roomManager.setPassword(roomId, password.slice(0, MAX_PASSWORD_LENGTH));
+        }
+        
+        // Send current state to new user (only missed ops if rejoining after a disconnect)
+        socket.emit('init', {
+            roomId,
+            userId: userData.id,
+            username: userData.username,
+            userColor: userData.color,
+            users: roomManager.getUsers(roomId),
+            access: roomManager.getAccessState(roomId),
+            settings: stateManager.getSettings(roomId),
+            clearUndo: getClearUndoState(roomId),
+            ...getRoomSyncState(roomId, data && data.sinceSeq)
+        });
+        
+        // Notify others about new user
+        socket.to(roomId).emit('user_joined', userData);
+        if (claimed) {
+            socket.to(roomId).emit('access_updated', roomManager.getAccessState(roomId));
+        }
+    });
+    
+    // Handle explicit room leave
+    socket.on('leave_room', () => {
+        const roomId = currentRoom;
+        leaveCurrentRoom();
+        if (roomId) {
+            socket.emit('room_left', { roomId });
+        }
+    });
+    
+    // Client detected a gap in the sequence numbers it received
+    socket.on('sync_request', (data) => {
+        if (!currentRoom) return;
+        socket.emit('sync', getRoomSyncState(currentRoom, data && data.sinceSeq));
+    });
     
     // Handle drawing events
     socket.on('drawing_step', (data) => {
-        // Add user info to stroke data
+        if (!currentRoom || getDrawRestriction()) return;
+        
+        // Add user info to the (validated) step
         const strokeData = {
             ...data,
-            userId: socket.id,
+            userId: userData.id,
             timestamp: Date.now()
         };
         
         // Broadcast to other users in the room
-        socket.to(defaultRoom).emit('drawing_step', strokeData);
+        socket.to(currentRoom).emit('drawing_step', strokeData);
     });
     
     // Handle stroke completion - save to history
-    socket.on('stroke_complete', (data) => {
+    socket.on('stroke_complete', (data, ack) => {
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            if (typeof ack === 'function') ack({ error: restriction });
+            return;
+        }
+        
+        // A stroke replayed from a client's offline queue may already be saved
+        const existing = data.clientStrokeId
+            ? stateManager.getStrokeByClientId(currentRoom, data.clientStrokeId)
+            : null;
+        if (existing) {
+            if (typeof ack === 'function') ack({ id: existing.id });
+            return;
+        }
+        
+        // Strokes go into the chosen layer, or the bottom one if it doesn't exist
+        const layer = stateManager.getLayer(currentRoom, data.layerId) || stateManager.getLayers(currentRoom)[0];
+        if (layer.locked) {
+            if (typeof ack === 'function') ack({ error: `Layer "${layer.name}" is locked` });
+            return;
+        }
+        
+        // Freehand points are simplified the same way clients do, in case this one didn't
+        const simplified = StrokeSmoothing.simplifyStroke(data);
+        if (!stateManager.hasRoomFor(currentRoom, [simplified])) {
+            if (typeof ack === 'function') ack({ error: BOARD_FULL_ERROR });
+            return;
+        }
+        
         const strokeData = {
-            ...data,
-            userId: socket.id,
+            ...simplified,
+            layerId: layer.id,
+            userId: userData.id,
             username: userData.username,
             timestamp: Date.now()
         };
         
         // Save stroke to state manager
-        stateManager.addStroke(defaultRoom, strokeData);
+        const stroke = stateManager.addStroke(currentRoom, strokeData);
         
         // Broadcast to all including sender for sync
-        io.to(defaultRoom).emit('stroke_saved', strokeData);
+        io.to(currentRoom).emit('stroke_saved', {
+            stroke,
+            seq: stateManager.getSeq(currentRoom)
+        });
+        
+        if (typeof ack === 'function') ack({ id: stroke.id });
+    });
+    
+    // Handle an imported board or SVG file as one undoable action
+    socket.on('import_strokes', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            reply({ error: restriction });
+            return;
+        }
+        reply(importIntoRoom(currentRoom, userData, data));
+    });
+    
+    // Handle edits to existing elements (moves, resizes, text changes) as one undoable action
+    // Acks {}, or {error, rejected} with the IDs of elements that weren't changed so the client can resync;
+    // elements someone else already deleted are skipped without counting as rejected
+    socket.on('update_stroke', (data, ack) => {
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            if (typeof ack === 'function') ack({ error: restriction, rejected: data.updates.map(u => u.strokeId) });
+            return;
+        }
+        
+        const strokes = stateManager.getStrokes(currentRoom);
+        const updates = [];
+        const rejected = [];
+        let error = null;
+        
+        for (const update of data.updates) {
+            const stroke = strokes.find(s => s.id === update.strokeId);
+            if (!stroke) continue;
+            if (stateManager.isLayerLocked(currentRoom, stroke.layerId)) {
+                rejected.push(stroke.id);
+                error = LOCKED_ELEMENTS_ERROR;
+                continue;
+            }
+            
+            const changes = {};
+            for (const field of EDITABLE_FIELDS) {
+                if (update.changes[field] === undefined) continue;
+                if (TEXT_ONLY_FIELDS.includes(field) && stroke.tool !== 'text') continue;
+                changes[field] = update.changes[field];
+            }
+            
+            // Moving or scaling must keep the same number of points
+            if (changes.points && changes.points.length !== stroke.points.length) {
+                rejected.push(stroke.id);
+                error = error || 'A moved or resized element must keep its number of points';
+                continue;
+            }
+            
+            updates.push({ strokeId: stroke.id, changes });
+        }
+        
+        const ops = updates.length > 0 ? stateManager.updateStrokes(currentRoom, userData.id, updates) : null;
+        if (ops) {
+            io.to(currentRoom).emit('strokes_updated', {
+                ops,
+                userId: userData.id,
+                seq: stateManager.getSeq(currentRoom)
+            });
+        }
+        if (typeof ack === 'function') ack(error ? { error, rejected } : {});
+    });
+    
+    // Handle deletion of selected elements as one undoable action; acks like update_stroke
+    socket.on('delete_strokes', (data, ack) => {
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            if (typeof ack === 'function') ack({ error: restriction, rejected: data.strokeIds });
+            return;
+        }
+        
+        const rejected = stateManager.getStrokes(currentRoom)
+            .filter(s => data.strokeIds.includes(s.id) && stateManager.isLayerLocked(currentRoom, s.layerId))
+            .map(s => s.id);
+        deleteFromRoom(currentRoom, userData, data.strokeIds);
+        if (typeof ack === 'function') ack(rejected.length > 0 ? { error: LOCKED_ELEMENTS_ERROR, rejected } : {});
+    });
+    
+    // Broadcast a layer change to everyone in the room
+    const broadcastLayers = (op) => {
+        io.to(currentRoom).emit('layers_updated', {
+            layers: op.layers,
+            userId: userData.id,
+            seq: op.seq
+        });
+    };
+    
+    // Handle layer creation
+    socket.on('create_layer', (data) => {
+        if (!currentRoom || getDrawRestriction()) return;
+        
+        const name = data && typeof data.name === 'string' ? data.name.trim().slice(0, 50) : '';
+        broadcastLayers(stateManager.createLayer(currentRoom, name));
+    });
+    
+    // Handle renaming, hiding and locking a layer
+    socket.on('update_layer', (data) => {
+        if (!currentRoom || getDrawRestriction() || !data || !data.changes) return;
+        
+        const changes = {};
+        if (typeof data.changes.name === 'string' && data.changes.name.trim()) {
+            changes.name = data.changes.name.trim().slice(0, 50);
+        }
+        if (typeof data.changes.visible === 'boolean') changes.visible = data.changes.visible;
+        if (typeof data.changes.locked === 'boolean') changes.locked = data.changes.locked;
+        
+        const op = stateManager.updateLayer(currentRoom, data.layerId, changes);
+        if (op) broadcastLayers(op);
+    });
+    
+    // Handle reordering layers
+    socket.on('move_layer', (data) => {
+        if (!currentRoom || getDrawRestriction() || !data || !Number.isInteger(data.index)) return;
+        
+        const op = stateManager.moveLayer(currentRoom, data.layerId, data.index);
+        if (op) broadcastLayers(op);
     });
     
     // Handle cursor movement
     socket.on('cursor_move', (data) => {
+        if (!currentRoom) return;
+        
         userData.cursorX = data.x;
         userData.cursorY = data.y;
         
-        socket.to(defaultRoom).emit('cursor_update', {
-            userId: socket.id,
+        socket.to(currentRoom).emit('cursor_update', {
+            userId: userData.id,
             username: userData.username,
             color: userData.color,
             x: data.x,
@@ -128,51 +1233,294 @@ io.on('connection', (socket) => {
     
     // Handle undo request
     socket.on('undo', () => {
-        const undoneStroke = stateManager.undoStroke(defaultRoom, socket.id);
+        if (!currentRoom || getDrawRestriction()) return;
+        
+        const ops = stateManager.undoStroke(currentRoom, userData.id);
         
-        if (undoneStroke) {
+        if (ops) {
             // Broadcast undo to all clients
-            io.to(defaultRoom).emit('undo_stroke', {
-                strokeId: undoneStroke.id,
-                userId: socket.id,
-                allStrokes: stateManager.getStrokes(defaultRoom)
+            io.to(currentRoom).emit('undo_stroke', {
+                ops,
+                userId: userData.id,
+                seq: stateManager.getSeq(currentRoom)
             });
         }
     });
     
     // Handle redo request
     socket.on('redo', () => {
-        const redoneStroke = stateManager.redoStroke(defaultRoom, socket.id);
+        if (!currentRoom || getDrawRestriction()) return;
         
-        if (redoneStroke) {
+        const ops = stateManager.redoStroke(currentRoom, userData.id);
+        
+        if (ops) {
             // Broadcast redo to all clients
-            io.to(defaultRoom).emit('redo_stroke', {
-                stroke: redoneStroke,
-                userId: socket.id,
-                allStrokes: stateManager.getStrokes(defaultRoom)
+            io.to(currentRoom).emit('redo_stroke', {
+                ops,
+                userId: userData.id,
+                seq: stateManager.getSeq(currentRoom)
+            });
+        }
+    });
+    
+    // Handle clear canvas request (which may need a vote first)
+    socket.on('clear_canvas', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        reply(restriction ? { error: restriction } : requestClear(currentRoom, userData));
+    });
+    
+    // Handle a vote on someone's request to clear
+    socket.on('clear_vote', (data) => {
+        if (!currentRoom || !data) return;
+        
+        const vote = voteManager.cast(currentRoom, data.voteId, userData.id, data.approve === true);
+        
+        // Votes that just ended were already announced
+        if (vote && voteManager.get(currentRoom) === vote) {
+            io.to(currentRoom).emit('clear_vote_updated', voteManager.getTally(vote));
+        }
+    });
+    
+    // Handle bringing back the board removed by the last clear; anyone who can draw may do it
+    socket.on('undo_clear', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            reply({ error: restriction });
+            return;
+        }
+        
+        const ops = stateManager.undoClear(currentRoom, userData.id, data && data.seq);
+        if (!ops) {
+            reply({ error: 'This clear can no longer be undone' });
+            return;
+        }
+        
+        if (ops.length > 0) {
+            io.to(currentRoom).emit('clear_undone', {
+                ops,
+                clearSeq: data.seq,
+                userId: userData.id,
+                username: userData.username,
+                seq: stateManager.getSeq(currentRoom)
             });
         }
+        reply({});
     });
     
-    // Handle clear canvas request
-    socket.on('clear_canvas', () => {
-        stateManager.clearStrokes(defaultRoom);
-        io.to(defaultRoom).emit('canvas_cleared', {
-            userId: socket.id,
+    // Handle changes to room settings (owner only)
+    socket.on('update_settings', (data) => {
+        if (!currentRoom || !roomManager.isOwner(currentRoom, userData.id) || !data || !data.settings) return;
+        
+        const changes = {};
+        const share = data.settings.clearVoteShare;
+        if (typeof share === 'number' && share >= 0 && share <= 1) {
+            changes.clearVoteShare = share;
+        }
+        if (Object.keys(changes).length === 0) return;
+        
+        io.to(currentRoom).emit('settings_updated', {
+            settings: stateManager.updateSettings(currentRoom, changes),
+            userId: userData.id,
             username: userData.username
         });
     });
     
+    // List the room's named snapshots
+    socket.on('list_snapshots', (data, ack) => {
+        if (!currentRoom || typeof ack !== 'function') return;
+        ack({ snapshots: stateManager.getSnapshots(currentRoom) });
+    });
+    
+    // Save the current board as a named snapshot
+    socket.on('save_snapshot', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            reply({ error: restriction });
+            return;
+        }
+        
+        reply(saveSnapshot(currentRoom, data && data.name, userData.username));
+    });
+    
+    // Replace the board with a snapshot for everyone in the room
+    socket.on('restore_snapshot', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            reply({ error: restriction });
+            return;
+        }
+        
+        const op = restoreSnapshot(currentRoom, data && data.snapshotId, userData.username);
+        reply(op ? { seq: op.seq } : { error: 'Snapshot not found' });
+    });
+    
+    // Start a new room from a snapshot; the client switches to it itself
+    socket.on('fork_snapshot', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            reply({ error: restriction });
+            return;
+        }
+        if (!data || !stateManager.getSnapshot(currentRoom, data.snapshotId)) {
+            reply({ error: 'Snapshot not found' });
+            return;
+        }
+        reply(forkSnapshot(currentRoom, data.snapshotId, data.roomId));
+    });
+    
+    // Delete a snapshot
+    socket.on('delete_snapshot', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom) return;
+        
+        const restriction = getDrawRestriction();
+        if (restriction) {
+            reply({ error: restriction });
+            return;
+        }
+        if (!data || !stateManager.deleteSnapshot(currentRoom, data.snapshotId)) {
+            reply({ error: 'Snapshot not found' });
+            return;
+        }
+        broadcastSnapshots(currentRoom);
+        reply({});
+    });
+    
+    // Get a user in the current room other than this one, answering the ack if there is none
+    const getOtherMember = (data, reply) => {
+        const member = data && data.userId !== userData.id ? roomManager.getUser(currentRoom, data.userId) : null;
+        if (!member) reply({ error: 'User not found' });
+        return member;
+    };
+    
+    // Make another user an editor or a viewer (owner only)
+    socket.on('set_role', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requireOwner(reply)) return;
+        
+        const member = getOtherMember(data, reply);
+        if (!member) return;
+        if (!roomManager.setRole(currentRoom, member.id, data.role)) {
+            reply({ error: 'Unknown role' });
+            return;
+        }
+        broadcastAccess(currentRoom);
+        reply({});
+    });
+    
+    // Stop or allow another user's drawing (owner only)
+    socket.on('mute_user', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requireOwner(reply)) return;
+        
+        const member = getOtherMember(data, reply);
+        if (!member) return;
+        
+        roomManager.setMuted(currentRoom, member.id, data.muted === true);
+        broadcastAccess(currentRoom);
+        reply({});
+    });
+    
+    // Lock or unlock the board for everyone but the owner
+    socket.on('set_read_only', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requireOwner(reply)) return;
+        
+        roomManager.setReadOnly(currentRoom, !!(data && data.readOnly));
+        broadcastAccess(currentRoom);
+        reply({});
+    });
+    
+    // Set or remove (with an empty string) the password needed to join
+    socket.on('set_room_password', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requireOwner(reply)) return;
+        
+        const password = data && typeof data.password === 'string' ? data.password : '';
+        if (password.length > MAX_PASSWORD_LENGTH) {
+            reply({ error: `Passwords are limited to ${MAX_PASSWORD_LENGTH} characters` });
+            return;
+        }
+        roomManager.setPassword(currentRoom, password);
+        broadcastAccess(currentRoom);
+        reply({});
+    });
+    
+    // Let only invited users (and those who know the password) join
+    socket.on('set_invite_only', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requireOwner(reply)) return;
+        
+        roomManager.setInviteOnly(currentRoom, !!(data && data.inviteOnly));
+        broadcastAccess(currentRoom);
+        reply({});
+    });
+    
+    // Sign an invite link that lets its holder in with a role until it expires
+    socket.on('create_invite', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requireOwner(reply)) return;
+        
+        const lifetime = data && Number.isFinite(data.expiresIn) && data.expiresIn > 0
+            ? Math.min(data.expiresIn, MAX_INVITE_LIFETIME)
+            : MAX_INVITE_LIFETIME;
+        const expiresAt = Date.now() + lifetime;
+        const token = inviteSigner.create(currentRoom, data && data.role, expiresAt);
+        reply(token ? { token, expiresAt } : { error: 'Unknown role' });
+    });
+    
+    // Hand the room to another user who is present
+    socket.on('transfer_ownership', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requireOwner(reply)) return;
+        
+        const member = getOtherMember(data, reply);
+        if (!member) return;
+        
+        roomManager.transferOwnership(currentRoom, member.id);
+        broadcastAccess(currentRoom);
+        reply({});
+    });
+    
+    // Remove another user from the room and keep them out for a while
+    socket.on('kick_user', (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!currentRoom || !requireOwner(reply)) return;
+        
+        const member = getOtherMember(data, reply);
+        if (!member) return;
+        
+        roomManager.ban(currentRoom, member.id, KICK_BAN_DURATION);
+        
+        // Every tab the user has open in this room goes
+        for (const target of io.sockets.sockets.values()) {
+            if (target.data.session.userId !== member.id || !target.rooms.has(currentRoom)) continue;
+            
+            target.data.leaveRoom();
+            target.emit('kicked', { roomId: currentRoom, username: userData.username });
+        }
+        reply({});
+    });
+    
     // Handle disconnect
     socket.on('disconnect', () => {
-        console.log(`User disconnected: ${socket.id}`);
-        roomManager.removeUser(defaultRoom, socket.id);
-        stateManager.cleanupUserHistory(defaultRoom, socket.id);
-        
-        socket.to(defaultRoom).emit('user_left', {
-            userId: socket.id,
-            username: userData.username
-        });
+        console.log(`User disconnected: ${userData.id} (socket ${socket.id})`);
+        leaveCurrentRoom();
     });
 });
 
@@ -182,3 +1530,24 @@ server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Open http://localhost:${PORT} in your browser`);
 });
+
+// Graceful shutdown - stop accepting connections and flush pending history writes
+let shuttingDown = false;
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    
+    console.log(`${signal} received, shutting down...`);
+    
+    // Don't hang forever if a client or write never finishes
+    setTimeout(() => process.exit(1), 10000).unref();
+    
+    io.close();
+    Promise.all([stateManager.flush(), sessionManager.save(), roomManager.save()]).then(() => {
+        console.log('History saved');
+        process.exit(0);
+    });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,111 @@
+/**
+ * Session Manager - Maps client-held session tokens to persistent user identities
+ * Lets a user keep their ID, name, color and undo history across reconnects
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Sessions unused for this long are dropped on load
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+class SessionManager {
+    /**
+     * @param {string} [filePath] - JSON file to persist sessions in; omit for memory only
+     */
+    constructor(filePath = null) {
+        // Map of sessionToken -> { token, userId, username, color, lastSeen }
+        this.sessions = new Map();
+        
+        this.filePath = filePath;
+        this.saveTimer = null;
+    }
+    
+    /**
+     * Load saved sessions from disk
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const cutoff = Date.now() - SESSION_MAX_AGE;
+            
+            for (const session of saved) {
+                if (session.lastSeen >= cutoff) {
+                    this.sessions.set(session.token, session);
+                }
+            }
+            console.log(`Loaded ${this.sessions.size} sessions`);
+        } catch (error) {
+            console.error('Failed to load sessions:', error.message);
+        }
+    }
+    
+    /**
+     * Look up the session for a token
+     * Returns null for missing or unknown tokens
+     */
+    getSession(token) {
+        if (typeof token !== 'string' || !this.sessions.has(token)) {
+            return null;
+        }
+        
+        const session = this.sessions.get(token);
+        session.lastSeen = Date.now();
+        this.scheduleSave();
+        return session;
+    }
+    
+    /**
+     * Create a session with a new token and user ID
+     */
+    createSession(identity) {
+        const session = {
+            token: crypto.randomBytes(24).toString('hex'),
+            userId: `user_${crypto.randomBytes(8).toString('hex')}`,
+            username: identity.username,
+            color: identity.color,
+            lastSeen: Date.now()
+        };
+        
+        this.sessions.set(session.token, session);
+        this.scheduleSave();
+        
+        console.log(`Session created for ${session.username}`);
+        return session;
+    }
+    
+    /**
+     * Save after a short delay so bursts of connections share one write
+     */
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+        
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, 1000);
+    }
+    
+    /**
+     * Write all sessions to disk
+     */
+    save() {
+        if (!this.filePath) return Promise.resolve();
+        
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        
+        const data = JSON.stringify(Array.from(this.sessions.values()));
+        const tempFile = this.filePath + '.tmp';
+        
+        return fs.promises.writeFile(tempFile, data)
+            .then(() => fs.promises.rename(tempFile, this.filePath))
+            .catch(error => console.error('Failed to save sessions:', error.message));
+    }
+}
+
+module.exports = SessionManager;
@@ -3,16 +3,214 @@
  * Handles the global state synchronization across all clients
  */
 
+// Number of recent operations kept per room for incremental sync
+const MAX_RECENT_OPS = 1000;
+
+// Number of undoable actions kept per user
+const MAX_UNDO_ACTIONS = 200;
+
+// Layer every room starts with; strokes without a layerId belong to it
+const DEFAULT_LAYER_ID = 'layer_default';
+
+// Layer properties a client may change
+const LAYER_FIELDS = ['name', 'visible', 'locked'];
+
+// Number of named snapshots kept per room
+const MAX_SNAPSHOTS = 20;
+
+// How long (ms) after a clear anyone in the room can bring the board back
+const CLEAR_UNDO_WINDOW = 10 * 60 * 1000;
+
+// Most strokes, and points across all of them, new content may bring a room to
+const MAX_ROOM_STROKES = 20000;
+const MAX_ROOM_POINTS = 2000000;
+
+// Settings every room starts with
+const DEFAULT_SETTINGS = {
+    // Share of present users (0-1) who must approve a clear; 0 clears without a vote
+    clearVoteShare: 0
+};
+
 class StateManager {
-    constructor() {
+    /**
+     * @param {object} [storage] - Optional persistence backend (see file-storage.js)
+     * @param {object} [options] - { clearUndoWindow } in ms, { maxRoomStrokes, maxRoomPoints }
+     */
+    constructor(storage = null, options = {}) {
         // Map of roomId -> array of strokes
         this.roomStrokes = new Map();
         
-        // Map of roomId -> Map of userId -> redo stack
+        // Map of roomId -> array of layers ({id, name, visible, locked}), bottom first
+        this.roomLayers = new Map();
+        
+        // Map of roomId -> Map of userId -> undo stack of actions
+        this.undoStacks = new Map();
+        
+        // Map of roomId -> Map of userId -> redo stack of actions
         this.redoStacks = new Map();
         
-        // Counter for generating unique stroke IDs
+        // Map of roomId -> last operation sequence number
+        this.roomSeqs = new Map();
+        
+        // Map of roomId -> recent operations ({seq, type, ...}), oldest first
+        this.roomOps = new Map();
+        
+        // Map of roomId -> named snapshots ({id, name, createdAt, createdBy, seq, strokes, layers}), oldest first
+        this.roomSnapshots = new Map();
+        
+        // Map of roomId -> last clear while it may be undone ({seq, userId, username, clearedAt, entries})
+        this.roomClears = new Map();
+        this.clearUndoWindow = options.clearUndoWindow || CLEAR_UNDO_WINDOW;
+        
+        // Map of roomId -> { seq, strokes, points }: the room's size as of a sequence number
+        this.roomUsage = new Map();
+        this.maxRoomStrokes = options.maxRoomStrokes || MAX_ROOM_STROKES;
+        this.maxRoomPoints = options.maxRoomPoints || MAX_ROOM_POINTS;
+        
+        // Map of roomId -> room settings (see DEFAULT_SETTINGS)
+        this.roomSettings = new Map();
+        
+        // Counters for generating unique stroke, layer and snapshot IDs
         this.strokeIdCounter = 0;
+        this.layerIdCounter = 0;
+        this.snapshotIdCounter = 0;
+        
+        // Persistence backend; null keeps history in memory only
+        this.storage = storage;
+        
+        // True while replaying a log, so replayed changes aren't logged again
+        this.replaying = false;
+    }
+    
+    /**
+     * Load every room's history from storage and compact the logs
+     */
+    load() {
+        if (!this.storage) return;
+        
+        const rooms = this.storage.load();
+        
+        this.replaying = true;
+        for (const [roomId, entries] of rooms) {
+            this.initRoom(roomId);
+            for (const entry of entries) {
+                this.applyLogEntry(roomId, entry);
+            }
+            
+            // Replace the replayed log with a single snapshot entry
+            this.compactLog(roomId);
+            console.log(`Loaded ${this.getStrokeCount(roomId)} strokes for room ${roomId}`);
+        }
+        this.replaying = false;
+    }
+    
+    /**
+     * Write all pending history to storage
+     */
+    flush() {
+        return this.storage ? this.storage.flush() : Promise.resolve();
+    }
+    
+    /**
+     * Record a history change in storage
+     */
+    persist(roomId, entry) {
+        if (this.storage && !this.replaying) {
+            this.storage.append(roomId, entry);
+        }
+    }
+    
+    /**
+     * Build a log entry holding the room's full current state
+     */
+    createSnapshotEntry(roomId) {
+        return {
+            type: 'snapshot',
+            seq: this.roomSeqs.get(roomId),
+            strokes: this.roomStrokes.get(roomId),
+            layers: this.roomLayers.get(roomId),
+            undoStacks: Object.fromEntries(this.undoStacks.get(roomId)),
+            redoStacks: Object.fromEntries(this.redoStacks.get(roomId)),
+            snapshots: this.roomSnapshots.get(roomId),
+            settings: this.roomSettings.get(roomId),
+            lastClear: this.roomClears.get(roomId) || null
+        };
+    }
+    
+    /**
+     * Replace a room's log with a single entry holding its current state
+     */
+    compactLog(roomId) {
+        if (this.storage) {
+            this.storage.rewrite(roomId, [this.createSnapshotEntry(roomId)]);
+        }
+    }
+    
+    /**
+     * Replay one logged history change into memory
+     * Changes go through the same code paths as live ones so sequence numbers and undo stacks match
+     */
+    applyLogEntry(roomId, entry) {
+        switch (entry.type) {
+            case 'snapshot':
+                this.roomStrokes.set(roomId, entry.strokes || []);
+                this.roomLayers.set(roomId, entry.layers || [createDefaultLayer()]);
+                this.undoStacks.set(roomId, new Map(Object.entries(entry.undoStacks || {})));
+                this.redoStacks.set(roomId, new Map(Object.entries(entry.redoStacks || {})));
+                this.roomSeqs.set(roomId, entry.seq || 0);
+                this.roomSnapshots.set(roomId, entry.snapshots || []);
+                this.roomSettings.set(roomId, { ...DEFAULT_SETTINGS, ...entry.settings });
+                if (entry.lastClear) {
+                    this.roomClears.set(roomId, entry.lastClear);
+                } else {
+                    this.roomClears.delete(roomId);
+                }
+                break;
+            case 'add':
+                this.commitAdd(roomId, entry.stroke);
+                break;
+            case 'import':
+                this.commitImport(roomId, entry.userId, entry.strokes);
+                break;
+            case 'update':
+                this.commitUpdate(roomId, entry.userId, entry.strokes);
+                break;
+            case 'delete':
+                this.deleteStrokes(roomId, entry.userId, entry.strokeIds);
+                break;
+            case 'undo':
+                this.undoStroke(roomId, entry.userId);
+                break;
+            case 'redo':
+                this.redoStroke(roomId, entry.userId);
+                break;
+            case 'remove':
+                this.removeStroke(roomId, entry.strokeId);
+                break;
+            case 'clear':
+                this.clearStrokes(roomId, entry.userId, entry.username, entry.clearedAt || 0);
+                break;
+            case 'clear_undo':
+                this.undoClear(roomId, entry.userId, entry.seq);
+                break;
+            case 'settings':
+                this.updateSettings(roomId, entry.settings);
+                break;
+            case 'cleanup':
+                this.cleanupUserHistory(roomId, entry.userId);
+                break;
+            case 'layers':
+                this.commitLayers(roomId, entry.layers);
+                break;
+            case 'snapshot_save':
+                this.commitSnapshot(roomId, entry.snapshot);
+                break;
+            case 'snapshot_delete':
+                this.deleteSnapshot(roomId, entry.snapshotId);
+                break;
+            default:
+                console.warn(`Unknown history entry type: ${entry.type}`);
+        }
     }
     
     /**
@@ -23,14 +221,196 @@ class StateManager {
         return `stroke_${Date.now()}_${this.strokeIdCounter}`;
     }
     
+    /**
+     * Generate unique layer ID
+     */
+    generateLayerId() {
+        this.layerIdCounter++;
+        return `layer_${Date.now()}_${this.layerIdCounter}`;
+    }
+    
+    /**
+     * Generate unique snapshot ID
+     */
+    generateSnapshotId() {
+        this.snapshotIdCounter++;
+        return `snapshot_${Date.now()}_${this.snapshotIdCounter}`;
+    }
+    
     /**
      * Initialize room if needed
      */
     initRoom(roomId) {
         if (!this.roomStrokes.has(roomId)) {
             this.roomStrokes.set(roomId, []);
+            this.roomLayers.set(roomId, [createDefaultLayer()]);
+            this.undoStacks.set(roomId, new Map());
             this.redoStacks.set(roomId, new Map());
+            this.roomSeqs.set(roomId, 0);
+            this.roomOps.set(roomId, []);
+            this.roomSnapshots.set(roomId, []);
+            this.roomSettings.set(roomId, { ...DEFAULT_SETTINGS });
+        }
+    }
+    
+    /**
+     * Get the IDs of all rooms with history
+     */
+    getRoomIds() {
+        return Array.from(this.roomStrokes.keys());
+    }
+    
+    /**
+     * Check whether a room has any history, without creating it
+     */
+    hasRoom(roomId) {
+        return this.roomStrokes.has(roomId);
+    }
+    
+    /**
+     * Record an operation under the room's next sequence number
+     */
+    recordOp(roomId, op) {
+        const seq = this.roomSeqs.get(roomId) + 1;
+        this.roomSeqs.set(roomId, seq);
+        
+        // Additions keep the room's size current; anything else has it recounted when next needed
+        const usage = this.roomUsage.get(roomId);
+        if (usage && usage.seq === seq - 1 && op.type === 'add') {
+            usage.seq = seq;
+            usage.strokes++;
+            usage.points += op.stroke.points.length;
+        }
+        
+        const ops = this.roomOps.get(roomId);
+        const recorded = { seq, ...op };
+        ops.push(recorded);
+        if (ops.length > MAX_RECENT_OPS) {
+            ops.shift();
+        }
+        
+        return recorded;
+    }
+    
+    /**
+     * Get the room's current sequence number
+     */
+    getSeq(roomId) {
+        this.initRoom(roomId);
+        return this.roomSeqs.get(roomId);
+    }
+    
+    /**
+     * Get the operations after a sequence number
+     * Returns null when they are no longer buffered and a full snapshot is needed
+     */
+    getOpsSince(roomId, sinceSeq) {
+        this.initRoom(roomId);
+        
+        const seq = this.roomSeqs.get(roomId);
+        if (!Number.isInteger(sinceSeq) || sinceSeq < 0 || sinceSeq > seq) {
+            return null;
+        }
+        if (sinceSeq === seq) {
+            return [];
+        }
+        
+        const ops = this.roomOps.get(roomId);
+        if (ops.length === 0 || ops[0].seq > sinceSeq + 1) {
+            return null;
+        }
+        
+        return ops.filter(op => op.seq > sinceSeq);
+    }
+    
+    /**
+     * Get a user's undo or redo stack, creating it if needed
+     */
+    getUserStack(stacks, roomId, userId) {
+        const roomStacks = stacks.get(roomId);
+        if (!roomStacks.has(userId)) {
+            roomStacks.set(userId, []);
         }
+        return roomStacks.get(userId);
+    }
+    
+    /**
+     * Record a new undoable action for a user, which invalidates their redo stack
+     */
+    pushUndoAction(roomId, userId, action) {
+        const undoStack = this.getUserStack(this.undoStacks, roomId, userId);
+        undoStack.push(action);
+        if (undoStack.length > MAX_UNDO_ACTIONS) {
+            undoStack.shift();
+        }
+        
+        const redoStack = this.redoStacks.get(roomId);
+        if (redoStack.has(userId)) {
+            redoStack.set(userId, []);
+        }
+    }
+    
+    /**
+     * Remove strokes by ID, returning what was removed (with positions) and the ops
+     */
+    removeByIds(roomId, strokeIds) {
+        const strokes = this.roomStrokes.get(roomId);
+        const entries = [];
+        
+        strokes.forEach((stroke, index) => {
+            if (strokeIds.includes(stroke.id)) {
+                entries.push({ stroke, index });
+            }
+        });
+        
+        // Splice from the end so earlier indexes stay valid
+        const ops = [];
+        for (let i = entries.length - 1; i >= 0; i--) {
+            strokes.splice(entries[i].index, 1);
+            ops.push(this.recordOp(roomId, { type: 'remove', strokeId: entries[i].stroke.id }));
+        }
+        
+        return { entries, ops };
+    }
+    
+    /**
+     * Put removed strokes back at their original positions, skipping any already present
+     */
+    insertEntries(roomId, entries) {
+        const strokes = this.roomStrokes.get(roomId);
+        const inserted = [];
+        const ops = [];
+        
+        // Insert in ascending order so each index refers to the final position
+        const sorted = [...entries].sort((a, b) => a.index - b.index);
+        for (const { stroke, index } of sorted) {
+            if (strokes.some(s => s.id === stroke.id)) continue;
+            
+            const position = Math.min(index, strokes.length);
+            strokes.splice(position, 0, stroke);
+            inserted.push(stroke.id);
+            ops.push(this.recordOp(roomId, { type: 'add', stroke, index: position }));
+        }
+        
+        return { inserted, ops };
+    }
+    
+    /**
+     * Replace strokes with new versions, skipping any no longer in history
+     */
+    replaceStrokes(roomId, replacements) {
+        const strokes = this.roomStrokes.get(roomId);
+        const ops = [];
+        
+        for (const stroke of replacements) {
+            const index = strokes.findIndex(s => s.id === stroke.id);
+            if (index === -1) continue;
+            
+            strokes[index] = stroke;
+            ops.push(this.recordOp(roomId, { type: 'update', stroke }));
+        }
+        
+        return ops;
     }
     
     /**
@@ -40,21 +420,66 @@ class StateManager {
         this.initRoom(roomId);
         
         const stroke = {
-            id: this.generateStrokeId(),
             ...strokeData,
+            id: this.generateStrokeId(),
             createdAt: Date.now()
         };
         
+        this.commitAdd(roomId, stroke);
+        
+        console.log(`Stroke added to room ${roomId} by user ${strokeData.userId}`);
+        return stroke;
+    }
+    
+    /**
+     * Append a stroke and make it undoable by its author
+     */
+    commitAdd(roomId, stroke) {
         this.roomStrokes.get(roomId).push(stroke);
+        this.recordOp(roomId, { type: 'add', stroke });
+        this.pushUndoAction(roomId, stroke.userId, { type: 'add', strokeIds: [stroke.id] });
+        this.persist(roomId, { type: 'add', stroke });
+    }
+    
+    /**
+     * Add imported strokes as one undoable action by a user
+     * Layers they use that the room doesn't have yet are created first; returns the ops applied
+     */
+    importStrokes(roomId, userId, strokesData, layers = []) {
+        this.initRoom(roomId);
         
-        // Clear redo stack for this user when they make a new action
-        const redoStack = this.redoStacks.get(roomId);
-        if (redoStack.has(strokeData.userId)) {
-            redoStack.set(strokeData.userId, []);
+        const ops = [];
+        const current = this.roomLayers.get(roomId);
+        const added = layers.filter(layer => !current.some(l => l.id === layer.id));
+        if (added.length > 0) {
+            ops.push(this.commitLayers(roomId, current.concat(added)));
         }
         
-        console.log(`Stroke added to room ${roomId} by user ${strokeData.userId}`);
-        return stroke;
+        const now = Date.now();
+        const strokes = strokesData.map(strokeData => ({
+            id: this.generateStrokeId(),
+            ...strokeData,
+            createdAt: now
+        }));
+        ops.push(...this.commitImport(roomId, userId, strokes));
+        
+        console.log(`${strokes.length} strokes imported to room ${roomId} by user ${userId}`);
+        return ops;
+    }
+    
+    /**
+     * Append imported strokes and make them undoable together
+     */
+    commitImport(roomId, userId, strokes) {
+        const roomStrokes = this.roomStrokes.get(roomId);
+        const ops = strokes.map(stroke => {
+            roomStrokes.push(stroke);
+            return this.recordOp(roomId, { type: 'add', stroke });
+        });
+        
+        this.pushUndoAction(roomId, userId, { type: 'add', strokeIds: strokes.map(s => s.id) });
+        this.persist(roomId, { type: 'import', userId, strokes });
+        return ops;
     }
     
     /**
@@ -66,29 +491,114 @@ class StateManager {
     }
     
     /**
-     * Undo the last stroke made by a specific user
-     * Returns the undone stroke or null if nothing to undo
+     * Find a stroke by the ID its client assigned before sending it
      */
-    undoStroke(roomId, userId) {
+    getStrokeByClientId(roomId, clientStrokeId) {
+        this.initRoom(roomId);
+        return this.roomStrokes.get(roomId).find(s => s.clientStrokeId === clientStrokeId) || null;
+    }
+    
+    /**
+     * Apply changes to strokes as one undoable action by a user
+     * updates: [{ strokeId, changes }]; returns the ops applied or null if nothing changed
+     */
+    updateStrokes(roomId, userId, updates) {
         this.initRoom(roomId);
         
         const strokes = this.roomStrokes.get(roomId);
-        const redoStack = this.redoStacks.get(roomId);
+        const after = [];
         
-        // Find the last stroke by this user (reverse search)
-        for (let i = strokes.length - 1; i >= 0; i--) {
-            if (strokes[i].userId === userId) {
-                // Remove stroke from history
-                const [undoneStroke] = strokes.splice(i, 1);
-                
-                // Add to redo stack for this user
-                if (!redoStack.has(userId)) {
-                    redoStack.set(userId, []);
-                }
-                redoStack.get(userId).push(undoneStroke);
+        for (const { strokeId, changes } of updates) {
+            const stroke = strokes.find(s => s.id === strokeId);
+            if (!stroke) continue;
+            
+            // Replace rather than mutate; recent ops and undo stacks may reference the old object
+            after.push({
+                ...stroke,
+                ...changes,
+                updatedAt: Date.now()
+            });
+        }
+        
+        if (after.length === 0) return null;
+        
+        const ops = this.commitUpdate(roomId, userId, after);
+        console.log(`${ops.length} strokes updated in room ${roomId} by user ${userId}`);
+        return ops;
+    }
+    
+    /**
+     * Replace strokes with updated versions and make the change undoable
+     */
+    commitUpdate(roomId, userId, after) {
+        const strokes = this.roomStrokes.get(roomId);
+        const before = after
+            .map(stroke => strokes.find(s => s.id === stroke.id))
+            .filter(Boolean);
+        
+        const ops = this.replaceStrokes(roomId, after);
+        if (ops.length > 0) {
+            this.pushUndoAction(roomId, userId, { type: 'update', before, after });
+            this.persist(roomId, { type: 'update', userId, strokes: after });
+        }
+        return ops;
+    }
+    
+    /**
+     * Delete strokes as one undoable action by a user
+     * Returns the ops applied or null if none of the strokes exist
+     */
+    deleteStrokes(roomId, userId, strokeIds) {
+        this.initRoom(roomId);
+        
+        const { entries, ops } = this.removeByIds(roomId, strokeIds);
+        if (entries.length === 0) return null;
+        
+        this.pushUndoAction(roomId, userId, { type: 'delete', entries });
+        this.persist(roomId, { type: 'delete', userId, strokeIds });
+        
+        console.log(`${entries.length} strokes deleted in room ${roomId} by user ${userId}`);
+        return ops;
+    }
+    
+    /**
+     * Undo the last action (add, update or delete) made by a specific user
+     * Returns the ops applied or null if nothing to undo
+     */
+    undoStroke(roomId, userId) {
+        this.initRoom(roomId);
+        
+        const undoStack = this.getUserStack(this.undoStacks, roomId, userId);
+        const redoStack = this.getUserStack(this.redoStacks, roomId, userId);
+        
+        // Skip actions whose strokes were since removed by someone else
+        while (undoStack.length > 0) {
+            // Changes on a locked layer wait until it is unlocked
+            if (this.isActionLocked(roomId, undoStack[undoStack.length - 1])) return null;
+            
+            const action = undoStack.pop();
+            let ops = [];
+            let redoAction = null;
+            
+            if (action.type === 'add') {
+                const removed = this.removeByIds(roomId, action.strokeIds);
+                ops = removed.ops;
+                redoAction = { type: 'add', entries: removed.entries };
+            } else if (action.type === 'delete') {
+                const restored = this.insertEntries(roomId, action.entries);
+                ops = restored.ops;
+                redoAction = { type: 'delete', strokeIds: restored.inserted };
+            } else if (action.type === 'update') {
+                ops = this.replaceStrokes(roomId, action.before);
+                redoAction = action;
+            }
+            
+            if (ops.length > 0) {
+                redoStack.push(redoAction);
+                this.persist(roomId, { type: 'undo', userId });
                 
-                console.log(`Stroke undone in room ${roomId} by user ${userId}`);
-                return undoneStroke;
+                console.log(`Action undone in room ${roomId} by user ${userId}`);
+                return ops;
             }
         }
         
@@ -96,37 +606,116 @@ class StateManager {
     }
     
     /**
-     * Redo the last undone stroke for a specific user
-     * Returns the redone stroke or null if nothing to redo
+     * Redo the last undone action for a specific user
+     * Returns the ops applied or null if nothing to redo
      */
     redoStroke(roomId, userId) {
         this.initRoom(roomId);
         
-        const strokes = this.roomStrokes.get(roomId);
-        const redoStack = this.redoStacks.get(roomId);
+        const undoStack = this.getUserStack(this.undoStacks, roomId, userId);
+        const redoStack = this.getUserStack(this.redoStacks, roomId, userId);
         
-        if (!redoStack.has(userId) || redoStack.get(userId).length === 0) {
-            return null;
+        while (redoStack.length > 0) {
+            if (this.isActionLocked(roomId, redoStack[redoStack.length - 1])) return null;
+            
+            const action = redoStack.pop();
+            let ops = [];
+            let undoAction = null;
+            
+            if (action.type === 'add') {
+                const restored = this.insertEntries(roomId, action.entries);
+                ops = restored.ops;
+                undoAction = { type: 'add', strokeIds: restored.inserted };
+            } else if (action.type === 'delete') {
+                const removed = this.removeByIds(roomId, action.strokeIds);
+                ops = removed.ops;
+                undoAction = { type: 'delete', entries: removed.entries };
+            } else if (action.type === 'update') {
+                ops = this.replaceStrokes(roomId, action.after);
+                undoAction = action;
+            }
+            
+            if (ops.length > 0) {
+                undoStack.push(undoAction);
+                this.persist(roomId, { type: 'redo', userId });
+                
+                console.log(`Action redone in room ${roomId} by user ${userId}`);
+                return ops;
+            }
         }
         
-        // Get the last undone stroke
-        const stroke = redoStack.get(userId).pop();
-        
-        // Add it back to the strokes
-        strokes.push(stroke);
+        return null;
+    }
+    
+    /**
+     * Check whether undoing or redoing an action would change a locked layer
+     */
+    isActionLocked(roomId, action) {
+        let strokes;
+        if (action.strokeIds) {
+            strokes = this.roomStrokes.get(roomId).filter(s => action.strokeIds.includes(s.id));
+        } else if (action.entries) {
+            strokes = action.entries.map(entry => entry.stroke);
+        } else {
+            strokes = action.before.concat(action.after);
+        }
         
-        console.log(`Stroke redone in room ${roomId} by user ${userId}`);
-        return stroke;
+        return strokes.some(stroke => this.isLayerLocked(roomId, stroke.layerId));
     }
     
     /**
      * Clear all strokes in a room
+     * Anyone in the room can undo it with undoClear for a while; undo stacks are kept for that case
+     * Returns the recorded op or null if the board was already empty
      */
-    clearStrokes(roomId) {
+    clearStrokes(roomId, userId = null, username = null, clearedAt = Date.now()) {
         this.initRoom(roomId);
+        
+        const strokes = this.roomStrokes.get(roomId);
+        if (strokes.length === 0) return null;
+        
+        const entries = strokes.map((stroke, index) => ({ stroke, index }));
         this.roomStrokes.set(roomId, []);
-        this.redoStacks.set(roomId, new Map());
-        console.log(`Canvas cleared in room ${roomId}`);
+        const op = this.recordOp(roomId, { type: 'clear', userId });
+        this.roomClears.set(roomId, { seq: op.seq, userId, username, clearedAt, entries });
+        this.persist(roomId, { type: 'clear', userId, username, clearedAt });
+        
+        console.log(`Canvas cleared in room ${roomId} by user ${userId}`);
+        return op;
+    }
+    
+    /**
+     * Get the room's last clear if it can still be undone
+     */
+    getUndoableClear(roomId) {
+        const clear = this.roomClears.get(roomId);
+        if (!clear) return null;
+        
+        // Replayed logs are rebuilt as they were, however long ago that was
+        if (!this.replaying && Date.now() - clear.clearedAt > this.clearUndoWindow) {
+            this.roomClears.delete(roomId);
+            return null;
+        }
+        return clear;
+    }
+    
+    /**
+     * Put back the strokes removed by the room's last clear, around anything drawn since
+     * seq names the clear being undone, so a stale request can't undo a newer one
+     * Returns the ops applied or null if that clear can no longer be undone
+     */
+    undoClear(roomId, userId, seq) {
+        this.initRoom(roomId);
+        
+        const clear = this.getUndoableClear(roomId);
+        if (!clear || clear.seq !== seq) return null;
+        
+        this.roomClears.delete(roomId);
+        const { ops } = this.insertEntries(roomId, clear.entries);
+        this.persist(roomId, { type: 'clear_undo', userId, seq });
+        
+        console.log(`Clear undone in room ${roomId} by user ${userId}`);
+        return ops;
     }
     
     /**
@@ -140,11 +729,39 @@ class StateManager {
         
         if (index !== -1) {
             strokes.splice(index, 1);
+            this.recordOp(roomId, { type: 'remove', strokeId });
+            this.persist(roomId, { type: 'remove', strokeId });
             return true;
         }
         return false;
     }
     
+    /**
+     * Get how many strokes a room holds, and how many points across them
+     */
+    getRoomUsage(roomId) {
+        this.initRoom(roomId);
+        
+        const seq = this.roomSeqs.get(roomId);
+        let usage = this.roomUsage.get(roomId);
+        if (!usage || usage.seq !== seq) {
+            const strokes = this.roomStrokes.get(roomId);
+            usage = { seq, strokes: strokes.length, points: countPoints(strokes) };
+            this.roomUsage.set(roomId, usage);
+        }
+        return { strokes: usage.strokes, points: usage.points };
+    }
+    
+    /**
+     * Check whether new strokes fit in a room without going over its caps
+     * Undo, redo and undoing a clear bring back strokes already held in memory, so they aren't capped
+     */
+    hasRoomFor(roomId, strokes) {
+        const usage = this.getRoomUsage(roomId);
+        return usage.strokes + strokes.length <= this.maxRoomStrokes &&
+            usage.points + countPoints(strokes) <= this.maxRoomPoints;
+    }
+    
     /**
      * Get stroke count for a room
      */
@@ -157,11 +774,222 @@ class StateManager {
      * Clean up user's redo history when they disconnect
      */
     cleanupUserHistory(roomId, userId) {
-        if (this.redoStacks.has(roomId)) {
+        if (this.redoStacks.has(roomId) && this.redoStacks.get(roomId).has(userId)) {
             this.redoStacks.get(roomId).delete(userId);
+            this.persist(roomId, { type: 'cleanup', userId });
         }
     }
     
+    /**
+     * Get a room's layers, bottom first
+     */
+    getLayers(roomId) {
+        this.initRoom(roomId);
+        return this.roomLayers.get(roomId);
+    }
+    
+    /**
+     * Find a layer by ID; strokes without a layerId are on the default layer
+     */
+    getLayer(roomId, layerId) {
+        return this.getLayers(roomId).find(l => l.id === (layerId || DEFAULT_LAYER_ID)) || null;
+    }
+    
+    /**
+     * Check whether a layer is locked against changes
+     */
+    isLayerLocked(roomId, layerId) {
+        const layer = this.getLayer(roomId, layerId);
+        return Boolean(layer && layer.locked);
+    }
+    
+    /**
+     * Add a new layer on top
+     * Returns the recorded op
+     */
+    createLayer(roomId, name) {
+        const layers = this.getLayers(roomId);
+        const layer = {
+            id: this.generateLayerId(),
+            name: name || `Layer ${layers.length + 1}`,
+            visible: true,
+            locked: false
+        };
+        
+        console.log(`Layer ${layer.id} created in room ${roomId}`);
+        return this.commitLayers(roomId, layers.concat(layer));
+    }
+    
+    /**
+     * Rename, hide/show or lock/unlock a layer
+     * Returns the recorded op or null if the layer doesn't exist
+     */
+    updateLayer(roomId, layerId, changes) {
+        const layers = this.getLayers(roomId);
+        if (!layers.some(l => l.id === layerId)) return null;
+        
+        const allowed = {};
+        for (const field of LAYER_FIELDS) {
+            if (changes[field] !== undefined) allowed[field] = changes[field];
+        }
+        
+        return this.commitLayers(roomId, layers.map(l => l.id === layerId ? { ...l, ...allowed } : l));
+    }
+    
+    /**
+     * Move a layer to a new position in the stacking order (0 is the bottom)
+     * Returns the recorded op or null if the layer doesn't exist
+     */
+    moveLayer(roomId, layerId, index) {
+        const layers = this.getLayers(roomId).slice();
+        const from = layers.findIndex(l => l.id === layerId);
+        if (from === -1) return null;
+        
+        const [layer] = layers.splice(from, 1);
+        layers.splice(Math.max(0, Math.min(index, layers.length)), 0, layer);
+        
+        return this.commitLayers(roomId, layers);
+    }
+    
+    /**
+     * Replace the room's layer list and record the change
+     */
+    commitLayers(roomId, layers) {
+        this.roomLayers.set(roomId, layers);
+        this.persist(roomId, { type: 'layers', layers });
+        return this.recordOp(roomId, { type: 'layers', layers });
+    }
+    
+    /**
+     * List a room's named snapshots without their content, oldest first
+     */
+    getSnapshots(roomId) {
+        this.initRoom(roomId);
+        return this.roomSnapshots.get(roomId).map(summarizeSnapshot);
+    }
+    
+    /**
+     * Find a named snapshot, including its strokes and layers
+     */
+    getSnapshot(roomId, snapshotId) {
+        this.initRoom(roomId);
+        return this.roomSnapshots.get(roomId).find(s => s.id === snapshotId) || null;
+    }
+    
+    /**
+     * Save the room's current strokes and layers under a name
+     * Returns the snapshot's summary, or null if the room already has the most it can keep
+     */
+    saveSnapshot(roomId, name, createdBy = null) {
+        this.initRoom(roomId);
+        
+        const snapshots = this.roomSnapshots.get(roomId);
+        if (snapshots.length >= MAX_SNAPSHOTS) return null;
+        
+        const snapshot = {
+            id: this.generateSnapshotId(),
+            name: name || `Snapshot ${snapshots.length + 1}`,
+            createdAt: Date.now(),
+            createdBy,
+            seq: this.getSeq(roomId),
+            strokes: this.getStrokes(roomId).slice(),
+            layers: this.getLayers(roomId)
+        };
+        
+        this.commitSnapshot(roomId, snapshot);
+        console.log(`Snapshot ${snapshot.id} saved in room ${roomId}`);
+        return summarizeSnapshot(snapshot);
+    }
+    
+    /**
+     * Add a snapshot to the room's list and record it
+     * Strokes and layer lists are replaced rather than changed in place, so the snapshot can share them
+     */
+    commitSnapshot(roomId, snapshot) {
+        this.initRoom(roomId);
+        this.roomSnapshots.get(roomId).push(snapshot);
+        this.persist(roomId, { type: 'snapshot_save', snapshot });
+    }
+    
+    /**
+     * Delete a named snapshot
+     * Returns false if it doesn't exist
+     */
+    deleteSnapshot(roomId, snapshotId) {
+        this.initRoom(roomId);
+        
+        const snapshots = this.roomSnapshots.get(roomId);
+        const index = snapshots.findIndex(s => s.id === snapshotId);
+        if (index === -1) return false;
+        
+        snapshots.splice(index, 1);
+        this.persist(roomId, { type: 'snapshot_delete', snapshotId });
+        return true;
+    }
+    
+    /**
+     * Replace the room's strokes and layers with a snapshot's
+     * This drops everyone's undo and redo history, and the chance to undo an earlier clear
+     * Returns the recorded op or null if the snapshot doesn't exist
+     */
+    restoreSnapshot(roomId, snapshotId) {
+        const snapshot = this.getSnapshot(roomId, snapshotId);
+        if (!snapshot) return null;
+        
+        this.roomStrokes.set(roomId, snapshot.strokes.slice());
+        this.roomLayers.set(roomId, snapshot.layers.slice());
+        this.undoStacks.set(roomId, new Map());
+        this.redoStacks.set(roomId, new Map());
+        this.roomClears.delete(roomId);
+        const op = this.recordOp(roomId, { type: 'restore', strokes: snapshot.strokes, layers: snapshot.layers });
+        
+        // Nothing before a restore is needed to rebuild the room
+        this.compactLog(roomId);
+        
+        console.log(`Snapshot ${snapshotId} restored in room ${roomId}`);
+        return op;
+    }
+    
+    /**
+     * Start a new room from a snapshot's strokes and layers
+     * Returns false if the snapshot doesn't exist or the new room already has history
+     */
+    forkSnapshot(roomId, snapshotId, newRoomId) {
+        const snapshot = this.getSnapshot(roomId, snapshotId);
+        if (!snapshot || this.hasRoom(newRoomId)) return false;
+        
+        this.initRoom(newRoomId);
+        this.roomStrokes.set(newRoomId, snapshot.strokes.slice());
+        this.roomLayers.set(newRoomId, snapshot.layers.slice());
+        this.compactLog(newRoomId);
+        
+        console.log(`Snapshot ${snapshotId} of room ${roomId} forked into room ${newRoomId}`);
+        return true;
+    }
+    
+    /**
+     * Get a room's settings
+     */
+    getSettings(roomId) {
+        this.initRoom(roomId);
+        return this.roomSettings.get(roomId);
+    }
+    
+    /**
+     * Change room settings; unknown settings are ignored
+     * Returns the room's new settings
+     */
+    updateSettings(roomId, changes) {
+        const settings = { ...this.getSettings(roomId) };
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            if (changes[key] !== undefined) settings[key] = changes[key];
+        }
+        
+        this.roomSettings.set(roomId, settings);
+        this.persist(roomId, { type: 'settings', settings });
+        return settings;
+    }
+    
     /**
      * Get strokes by a specific user
      */
@@ -169,6 +997,69 @@ class StateManager {
         this.initRoom(roomId);
         return this.roomStrokes.get(roomId).filter(s => s.userId === userId);
     }
+    
+    /**
+     * Get the src of every image element still in use: on a board, in a snapshot, in undo/redo history or in an
+     * undoable clear
+     */
+    getImageSources() {
+        const sources = new Set();
+        const addStrokes = (strokes) => {
+            for (const stroke of strokes) {
+                if (stroke.tool === 'image') sources.add(stroke.src);
+            }
+        };
+        
+        // Undo actions and clears hold strokes as entries ({ stroke, index }), or as before/after copies
+        const addAction = (action) => {
+            if (action.entries) addStrokes(action.entries.map(entry => entry.stroke));
+            if (action.before) addStrokes(action.before);
+            if (action.after) addStrokes(action.after);
+        };
+        
+        for (const strokes of this.roomStrokes.values()) addStrokes(strokes);
+        for (const snapshots of this.roomSnapshots.values()) {
+            snapshots.forEach(snapshot => addStrokes(snapshot.strokes));
+        }
+        for (const stacks of [this.undoStacks, this.redoStacks]) {
+            for (const userStacks of stacks.values()) {
+                for (const stack of userStacks.values()) stack.forEach(addAction);
+            }
+        }
+        for (const clear of this.roomClears.values()) addAction(clear);
+        
+        return sources;
+    }
+}
+
+/**
+ * Describe a snapshot without its strokes and layers
+ */
+function summarizeSnapshot(snapshot) {
+    return {
+        id: snapshot.id,
+        name: snapshot.name,
+        createdAt: snapshot.createdAt,
+        createdBy: snapshot.createdBy,
+        seq: snapshot.seq,
+        strokeCount: snapshot.strokes.length
+    };
+}
+
+/**
+ * Count the points across strokes
+ */
+function countPoints(strokes) {
+    return strokes.reduce((total, stroke) => total + stroke.points.length, 0);
 }
 
+/**
+ * Create the layer every room starts with
+ */
+function createDefaultLayer() {
+    return { id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false };
+}
+
+StateManager.MAX_SNAPSHOTS = MAX_SNAPSHOTS;
+
 module.exports = StateManager;
@@ -0,0 +1,254 @@
+/**
+ * Payload Validation - Checks what clients send before it reaches room state or other clients
+ * Each checked event has a schema that returns a clean copy of the payload (known fields only), or the problem with it
+ */
+
+const BoardImport = require('../client/board-import');
+
+const { isFiniteNumber, isColor, isImageSrc, SHAPE_TOOLS, STROKE_TOOLS } = BoardImport;
+
+// Tools whose strokes are drawn live, segment by segment or as a rubber band
+const LIVE_TOOLS = ['brush', 'eraser', ...SHAPE_TOOLS];
+
+// Longest ID a client may name (stroke, layer and client stroke IDs)
+const MAX_ID_LENGTH = 64;
+
+// Most strokes one edit or deletion may touch
+const MAX_BATCH_STROKES = BoardImport.MAX_IMPORT_STROKES;
+
+// Largest coordinate accepted; far beyond anything drawn by hand, but keeps maths on them finite
+const MAX_COORDINATE = 1e7;
+
+/**
+ * A payload that didn't pass its schema
+ */
+class PayloadError extends Error {
+    /**
+     * @param {string} field - Path of the offending field, e.g. 'points[3].x'
+     * @param {string} message - What is wrong with it
+     */
+    constructor(field, message) {
+        super(message);
+        this.field = field;
+    }
+}
+
+/**
+ * Throw a PayloadError for a field unless a check passed
+ */
+function expect(ok, field, message) {
+    if (!ok) throw new PayloadError(field, message);
+}
+
+/**
+ * Check that a payload is a plain object
+ */
+function expectObject(data, field = 'payload') {
+    expect(data !== null && typeof data === 'object' && !Array.isArray(data), field, 'must be an object');
+    return data;
+}
+
+/**
+ * Check a coordinate
+ */
+function expectCoordinate(value, field) {
+    expect(isFiniteNumber(value) && Math.abs(value) <= MAX_COORDINATE, field, 'must be a finite number');
+    return value;
+}
+
+/**
+ * Check a point and copy its coordinates, and its pen pressure if it has one
+ */
+function expectPoint(point, field) {
+    expectObject(point, field);
+    const copy = {
+        x: expectCoordinate(point.x, `${field}.x`),
+        y: expectCoordinate(point.y, `${field}.y`)
+    };
+    if (point.pressure !== undefined) {
+        expect(isFiniteNumber(point.pressure) && point.pressure >= 0 && point.pressure <= 1,
+            `${field}.pressure`, 'must be a number from 0 to 1');
+        copy.pressure = point.pressure;
+    }
+    return copy;
+}
+
+/**
+ * Check a list of points and copy it
+ */
+function expectPoints(points, field = 'points') {
+    expect(Array.isArray(points) && points.length > 0, field, 'must be a non-empty array');
+    expect(points.length <= BoardImport.MAX_STROKE_POINTS, field, `must have at most ${BoardImport.MAX_STROKE_POINTS} points`);
+    return points.map((point, i) => expectPoint(point, `${field}[${i}]`));
+}
+
+/**
+ * Check an ID named by a client
+ */
+function expectId(value, field) {
+    expect(typeof value === 'string' && value.length > 0 && value.length <= MAX_ID_LENGTH,
+        field, `must be a string of at most ${MAX_ID_LENGTH} characters`);
+    return value;
+}
+
+/**
+ * Check a stroke color
+ */
+function expectColor(value, field = 'color') {
+    expect(isColor(value), field, 'must be a hex color, color name, rgb() or hsl()');
+    return value;
+}
+
+/**
+ * Check a stroke width
+ */
+function expectWidth(value, field = 'width') {
+    expect(isFiniteNumber(value) && value > 0 && value <= BoardImport.MAX_STROKE_WIDTH,
+        field, `must be a number above 0 and at most ${BoardImport.MAX_STROKE_WIDTH}`);
+    return value;
+}
+
+/**
+ * Check a text element's text
+ */
+function expectText(value, field = 'text') {
+    expect(typeof value === 'string' && value.trim() && value.length <= BoardImport.MAX_TEXT_LENGTH,
+        field, `must be non-empty text of at most ${BoardImport.MAX_TEXT_LENGTH} characters`);
+    return value;
+}
+
+/**
+ * Check a text element's font family
+ */
+function expectFont(value, field = 'font') {
+    expect(typeof value === 'string' && value.length > 0 && value.length <= BoardImport.MAX_FONT_LENGTH,
+        field, `must be a font name of at most ${BoardImport.MAX_FONT_LENGTH} characters`);
+    return value;
+}
+
+/**
+ * Check a text element's font size
+ */
+function expectFontSize(value, field = 'fontSize') {
+    expect(isFiniteNumber(value) && value >= BoardImport.MIN_FONT_SIZE && value <= BoardImport.MAX_FONT_SIZE,
+        field, `must be between ${BoardImport.MIN_FONT_SIZE} and ${BoardImport.MAX_FONT_SIZE}`);
+    return value;
+}
+
+/**
+ * Check a list of stroke IDs
+ */
+function expectStrokeIds(value, field) {
+    expect(Array.isArray(value) && value.length <= MAX_BATCH_STROKES, field, `must be an array of at most ${MAX_BATCH_STROKES} IDs`);
+    return value.map((id, i) => expectId(id, `${field}[${i}]`));
+}
+
+// Schemas by event name; each takes the payload and returns the clean copy handlers use
+const SCHEMAS = {
+    // One segment of a stroke being drawn, or a shape's rubber band
+    drawing_step(data) {
+        expectObject(data);
+        expect(LIVE_TOOLS.includes(data.tool), 'tool', `must be one of ${LIVE_TOOLS.join(', ')}`);
+        
+        return {
+            start: expectPoint(data.start, 'start'),
+            end: expectPoint(data.end, 'end'),
+            color: expectColor(data.color),
+            width: expectWidth(data.width),
+            tool: data.tool,
+            layerId: expectId(data.layerId, 'layerId')
+        };
+    },
+    
+    // A finished stroke, shape, text or image; IDs and authorship are assigned by the server
+    stroke_complete(data) {
+        expectObject(data);
+        expect(STROKE_TOOLS.includes(data.tool), 'tool', `must be one of ${STROKE_TOOLS.join(', ')}`);
+        
+        const stroke = {
+            points: expectPoints(data.points),
+            color: expectColor(data.color),
+            tool: data.tool
+        };
+        if (data.layerId !== undefined) stroke.layerId = expectId(data.layerId, 'layerId');
+        if (data.clientStrokeId !== undefined) stroke.clientStrokeId = expectId(data.clientStrokeId, 'clientStrokeId');
+        
+        if (data.tool === 'text') {
+            stroke.text = expectText(data.text);
+            stroke.font = expectFont(data.font);
+            stroke.fontSize = expectFontSize(data.fontSize);
+            return stroke;
+        }
+        
+        // Shapes and images are defined by two corners
+        if (data.tool === 'image' || SHAPE_TOOLS.includes(data.tool)) {
+            expect(stroke.points.length === 2, 'points', `must be two corners for ${data.tool}`);
+        }
+        
+        if (data.tool === 'image') {
+            expect(isImageSrc(data.src), 'src', 'must be an image uploaded to this server');
+            stroke.src = data.src;
+            return stroke;
+        }
+        
+        stroke.width = expectWidth(data.width);
+        return stroke;
+    },
+    
+    // Pointer position in world coordinates
+    cursor_move(data) {
+        expectObject(data);
+        return {
+            x: expectCoordinate(data.x, 'x'),
+            y: expectCoordinate(data.y, 'y')
+        };
+    },
+    
+    // Moves, resizes and text edits; which fields apply to which stroke is checked against the room
+    update_stroke(data) {
+        expectObject(data);
+        expect(Array.isArray(data.updates) && data.updates.length <= MAX_BATCH_STROKES,
+            'updates', `must be an array of at most ${MAX_BATCH_STROKES} updates`);
+        
+        return {
+            updates: data.updates.map((update, i) => {
+                const field = `updates[${i}]`;
+                expectObject(update, field);
+                const changes = expectObject(update.changes, `${field}.changes`);
+                
+                const clean = {};
+                if (changes.points !== undefined) clean.points = expectPoints(changes.points, `${field}.changes.points`);
+                if (changes.color !== undefined) clean.color = expectColor(changes.color, `${field}.changes.color`);
+                if (changes.text !== undefined) clean.text = expectText(changes.text, `${field}.changes.text`);
+                if (changes.font !== undefined) clean.font = expectFont(changes.font, `${field}.changes.font`);
+                if (changes.fontSize !== undefined) clean.fontSize = expectFontSize(changes.fontSize, `${field}.changes.fontSize`);
+                
+                return { strokeId: expectId(update.strokeId, `${field}.strokeId`), changes: clean };
+            })
+        };
+    },
+    
+    // Selected elements to remove
+    delete_strokes(data) {
+        expectObject(data);
+        return { strokeIds: expectStrokeIds(data.strokeIds, 'strokeIds') };
+    }
+};
+
+/**
+ * Check an inbound event's payload against its schema
+ * Returns { data } with the clean copy (events without a schema pass unchanged), or { field, error }
+ */
+function validatePayload(event, data) {
+    const schema = SCHEMAS[event];
+    if (!schema) return { data };
+    
+    try {
+        return { data: schema(data) };
+    } catch (error) {
+        if (!(error instanceof PayloadError)) throw error;
+        return { field: error.field, error: `${error.field} ${error.message}` };
+    }
+}
+
+module.exports = { validatePayload };
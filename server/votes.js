@@ -0,0 +1,103 @@
+/**
+ * Vote Manager - Runs room votes on actions that need approval from the people present
+ * Each room has at most one vote at a time; votes not decided in time expire
+ */
+
+class VoteManager {
+    /**
+     * @param {number} timeout - How long (ms) a vote stays open
+     */
+    constructor(timeout) {
+        this.timeout = timeout;
+        
+        // Map of roomId -> open vote
+        this.votes = new Map();
+        
+        this.voteIdCounter = 0;
+    }
+    
+    /**
+     * Open a vote in a room; the requester's approval is counted right away
+     * onEnd(result, vote) is called once with 'passed', 'rejected' or 'expired'
+     * Returns the vote, or null if the room already has one open
+     */
+    start(roomId, { requestedBy, voterIds, required }, onEnd) {
+        if (this.votes.has(roomId)) return null;
+        
+        this.voteIdCounter++;
+        const vote = {
+            id: `vote_${Date.now()}_${this.voteIdCounter}`,
+            roomId,
+            requestedBy,
+            voterIds: new Set(voterIds),
+            required,
+            approvals: new Set([requestedBy.id]),
+            rejections: new Set(),
+            expiresAt: Date.now() + this.timeout,
+            timer: setTimeout(() => this.end(roomId, 'expired'), this.timeout),
+            onEnd
+        };
+        
+        this.votes.set(roomId, vote);
+        return vote;
+    }
+    
+    /**
+     * Get a room's open vote
+     */
+    get(roomId) {
+        return this.votes.get(roomId) || null;
+    }
+    
+    /**
+     * Count a user's vote, ending the vote once it is decided
+     * Only users present when the vote started can vote, and a later vote replaces an earlier one
+     * Returns the vote, or null if the vote isn't open or the user can't vote in it
+     */
+    cast(roomId, voteId, userId, approve) {
+        const vote = this.get(roomId);
+        if (!vote || vote.id !== voteId || !vote.voterIds.has(userId)) return null;
+        
+        if (approve) {
+            vote.approvals.add(userId);
+            vote.rejections.delete(userId);
+        } else {
+            vote.rejections.add(userId);
+            vote.approvals.delete(userId);
+        }
+        
+        if (vote.approvals.size >= vote.required) {
+            this.end(roomId, 'passed');
+        } else if (vote.voterIds.size - vote.rejections.size < vote.required) {
+            this.end(roomId, 'rejected');
+        }
+        return vote;
+    }
+    
+    /**
+     * Close a room's open vote with a result
+     */
+    end(roomId, result) {
+        const vote = this.get(roomId);
+        if (!vote) return;
+        
+        clearTimeout(vote.timer);
+        this.votes.delete(roomId);
+        vote.onEnd(result, vote);
+    }
+    
+    /**
+     * Describe a vote for clients
+     */
+    getTally(vote) {
+        return {
+            voteId: vote.id,
+            approvals: vote.approvals.size,
+            rejections: vote.rejections.size,
+            required: vote.required,
+            voters: vote.voterIds.size
+        };
+    }
+}
+
+module.exports = VoteManager;
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CLIENT_DIR = path.join(__dirname, '../client');
+
+// Stands in for any canvas context, DOM method or property the code under test touches
+const stub = new Proxy(function () {}, {
+    get: (target, key) => key === Symbol.toPrimitive ? () => 0 : stub,
+    set: () => true,
+    apply: () => stub
+});
+
+/**
+ * Fake canvas element that records its event listeners
+ */
+function createCanvas() {
+    const listeners = {};
+    return {
+        listeners,
+        width: 0,
+        height: 0,
+        style: {},
+        parentElement: { getBoundingClientRect: () => ({ left: 0, top: 0, width: 800, height: 600 }) },
+        getContext: () => stub,
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 800, height: 600 }),
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        setPointerCapture: () => {}
+    };
+}
+
+/**
+ * Load the canvas module into a fake browser and create a manager whose saved strokes are collected
+ */
+function createCanvasManager() {
+    const window = {
+        devicePixelRatio: 1,
+        addEventListener: () => {},
+        matchMedia: () => ({ addEventListener: () => {} })
+    };
+    const context = vm.createContext({
+        window,
+        document: { createElement: createCanvas },
+        requestAnimationFrame: () => {},
+        console
+    });
+    window.window = window;
+    for (const file of ['stroke-smoothing.js', 'canvas.js']) {
+        vm.runInContext(fs.readFileSync(path.join(CLIENT_DIR, file), 'utf8'), context, { filename: file });
+    }
+    context.StrokeSmoothing = window.StrokeSmoothing;
+    
+    const canvas = createCanvas();
+    const manager = new window.CanvasManager(canvas, createCanvas());
+    const saved = [];
+    manager.getStrokes = () => [];
+    manager.onStrokeComplete = stroke => saved.push(stroke);
+    
+    const send = (type, pointerType, pointerId, x, y) => canvas.listeners[type]({
+        type,
+        pointerType,
+        pointerId,
+        clientX: x,
+        clientY: y,
+        button: 0,
+        pressure: 0.5,
+        preventDefault: () => {}
+    });
+    return { manager, saved, send };
+}
+
+test('a touch stroke is saved when the finger lifts', () => {
+    const { saved, send } = createCanvasManager();
+    send('pointerdown', 'touch', 1, 10, 10);
+    send('pointermove', 'touch', 1, 50, 50);
+    send('pointerup', 'touch', 1, 50, 50);
+    assert.strictEqual(saved.length, 1);
+});
+
+test('a pen landing on a resting palm throws the palm stroke away', () => {
+    const { manager, saved, send } = createCanvasManager();
+    send('pointerdown', 'touch', 1, 10, 10);
+    send('pointermove', 'touch', 1, 50, 50);
+    send('pointerdown', 'pen', 2, 100, 100);
+    
+    assert.strictEqual(saved.length, 0);
+    
+    // The palm lifting or moving doesn't save anything either; only the pen's stroke is saved
+    send('pointermove', 'touch', 1, 60, 60);
+    send('pointerup', 'touch', 1, 60, 60);
+    send('pointermove', 'pen', 2, 150, 150);
+    send('pointerup', 'pen', 2, 150, 150);
+    assert.strictEqual(saved.length, 1);
+    assert.deepStrictEqual(Array.from(saved[0].points, p => p.pressure), [0.5, 0.5]);
+    assert.strictEqual(manager.isDrawing, false);
+});
+
+test('a second finger throws the first finger\'s stroke away and pinches', () => {
+    const { manager, saved, send } = createCanvasManager();
+    send('pointerdown', 'touch', 1, 10, 10);
+    send('pointermove', 'touch', 1, 50, 50);
+    send('pointerdown', 'touch', 2, 200, 200);
+    send('pointerup', 'touch', 1, 50, 50);
+    send('pointerup', 'touch', 2, 200, 200);
+    
+    assert.strictEqual(saved.length, 0);
+    assert.strictEqual(manager.currentStroke, null);
+});
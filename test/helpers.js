@@ -0,0 +1,113 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const SERVER_PATH = path.join(__dirname, '../server/server.js');
+
+/**
+ * Find a free local port
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start the server in a child process with its own data directory
+ * Resolves once it listens; `exited` tells whether it has stopped (or crashed) since
+ */
+async function startServer(env = {}) {
+    const port = await getFreePort();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-test-'));
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        env: { ...process.env, ...env, PORT: String(port), DATA_DIR: dataDir, INVITE_SECRET: 'test-secret' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    
+    const server = { url: `http://localhost:${port}`, child, output: '', exited: false };
+    child.stdout.on('data', chunk => { server.output += chunk; });
+    child.stderr.on('data', chunk => { server.output += chunk; });
+    const exit = new Promise(resolve => child.on('exit', () => {
+        server.exited = true;
+        resolve();
+    }));
+    
+    await new Promise((resolve, reject) => {
+        const check = () => {
+            if (server.output.includes('Server running')) resolve();
+            else if (server.exited) reject(new Error(`Server did not start:\n${server.output}`));
+            else setTimeout(check, 20);
+        };
+        check();
+    });
+    
+    server.stop = async () => {
+        if (!server.exited) child.kill('SIGTERM');
+        await exit;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    return server;
+}
+
+/**
+ * Connect a socket and join a room; resolves with the client once `init` arrives
+ * `join` adds fields such as a password or invite to the join_room request
+ */
+function joinRoom(server, roomId, auth = {}, join = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = io(server.url, { transports: ['websocket'], auth, reconnection: false });
+        const client = { socket, events: [] };
+        socket.onAny((event, data) => client.events.push([event, data]));
+        socket.on('session', data => {
+            client.userId = data.userId;
+            client.token = data.sessionToken;
+        });
+        socket.on('init', data => {
+            client.init = data;
+            resolve(client);
+        });
+        socket.on('join_refused', data => reject(new Error(data.error)));
+        socket.on('connect_error', reject);
+        socket.on('connect', () => socket.emit('join_room', { ...join, roomId }));
+    });
+}
+
+/**
+ * Send an event and resolve with its ack
+ */
+function ask(client, event, data) {
+    return new Promise(resolve => client.socket.emit(event, data, resolve));
+}
+
+/**
+ * Wait for the next occurrence of an event
+ */
+function nextEvent(client, event) {
+    return new Promise(resolve => client.socket.once(event, resolve));
+}
+
+/**
+ * Save a two-point brush stroke on the room's first layer and resolve with its ID
+ */
+async function drawStroke(client, x = 0) {
+    const response = await ask(client, 'stroke_complete', {
+        points: [{ x, y: 0 }, { x: x + 10, y: 10 }],
+        color: '#000000',
+        width: 4,
+        tool: 'brush',
+        layerId: client.init.layers[0].id
+    });
+    return response.id;
+}
+
+module.exports = { startServer, joinRoom, ask, nextEvent, drawStroke };
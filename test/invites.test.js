@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, joinRoom, ask } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+// Join once and disconnect, leaving the user known to the room
+async function visit(roomId, auth, join) {
+    const client = await joinRoom(server, roomId, auth, join);
+    client.socket.close();
+    return client;
+}
+
+test('an invite gives its role to users new to the room', async () => {
+    const owner = await joinRoom(server, 'invite-new');
+    const { token } = await ask(owner, 'create_invite', { role: 'viewer' });
+    
+    const guest = await visit('invite-new', {}, { invite: token });
+    assert.strictEqual(guest.init.access.roles[guest.userId], 'viewer');
+    owner.socket.close();
+});
+
+test('an invite doesn\'t undo a role the owner set since', async () => {
+    const owner = await joinRoom(server, 'invite-demoted');
+    const { token } = await ask(owner, 'create_invite', { role: 'editor' });
+    
+    const guest = await joinRoom(server, 'invite-demoted', {}, { invite: token });
+    assert.strictEqual(guest.init.access.roles[guest.userId], 'editor');
+    assert.deepStrictEqual(await ask(owner, 'set_role', { userId: guest.userId, role: 'viewer' }), {});
+    guest.socket.close();
+    
+    // Coming back with the same identity and the old editor link keeps the demotion
+    const rejoined = await joinRoom(server, 'invite-demoted', { sessionToken: guest.token }, { invite: token });
+    assert.strictEqual(rejoined.userId, guest.userId);
+    assert.strictEqual(rejoined.init.access.roles[guest.userId], 'viewer');
+    assert.deepStrictEqual(await ask(rejoined, 'delete_strokes', { strokeIds: [] }), {
+        error: 'You are a viewer in this room',
+        rejected: []
+    });
+    rejoined.socket.close();
+    owner.socket.close();
+});
+
+test('an invite doesn\'t change the role of someone let in by password', async () => {
+    const owner = await joinRoom(server, 'invite-member', {}, { password: 'secret' });
+    const { token } = await ask(owner, 'create_invite', { role: 'viewer' });
+    
+    const guest = await visit('invite-member', {}, { password: 'secret' });
+    const rejoined = await joinRoom(server, 'invite-member', { sessionToken: guest.token }, { invite: token });
+    assert.strictEqual(rejoined.init.access.roles[guest.userId], undefined);
+    rejoined.socket.close();
+    owner.socket.close();
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../server/rate-limiter');
+const { startServer, joinRoom, drawStroke } = require('./helpers');
+
+test('events without a limit of their own share one bucket', () => {
+    const limiter = new RateLimiter({ undo: { rate: 1, burst: 1 }, '*': { rate: 1, burst: 2 } });
+    
+    assert.strictEqual(limiter.take('user', 'made_up_1', 0), 0);
+    assert.strictEqual(limiter.take('user', 'made_up_2', 0), 0);
+    assert.ok(limiter.take('user', 'made_up_3', 0) > 0);
+    
+    // Events with their own limit keep their own bucket
+    assert.strictEqual(limiter.take('user', 'undo', 0), 0);
+    assert.deepStrictEqual(Array.from(limiter.buckets.get('user').keys()).sort(), ['*', 'undo']);
+});
+
+test('refilled shared buckets are pruned', () => {
+    const limiter = new RateLimiter({ '*': { rate: 1, burst: 2 } });
+    limiter.take('user', 'anything', 0);
+    limiter.prune(5000);
+    assert.strictEqual(limiter.buckets.size, 0);
+});
+
+test('the REST stroke routes are rate-limited', async () => {
+    const server = await startServer({
+        RATE_LIMITS: JSON.stringify({ import_strokes: { rate: 0.001, burst: 1 }, delete_strokes: { rate: 0.001, burst: 1 } })
+    });
+    const client = await joinRoom(server, 'limited');
+    try {
+        const url = `${server.url}/api/rooms/limited/strokes`;
+        const headers = { 'Content-Type': 'application/json', 'X-Session-Token': client.token };
+        const body = JSON.stringify({ points: [{ x: 0, y: 0 }, { x: 5, y: 5 }], color: '#000000', width: 2, tool: 'brush' });
+        
+        assert.strictEqual((await fetch(url, { method: 'POST', headers, body })).status, 201);
+        const limited = await fetch(url, { method: 'POST', headers, body });
+        assert.strictEqual(limited.status, 429);
+        assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+        
+        const first = await drawStroke(client);
+        const second = await drawStroke(client, 20);
+        assert.strictEqual((await fetch(`${url}/${first}`, { method: 'DELETE', headers })).status, 204);
+        assert.strictEqual((await fetch(`${url}/${second}`, { method: 'DELETE', headers })).status, 429);
+    } finally {
+        client.socket.close();
+        await server.stop();
+    }
+});
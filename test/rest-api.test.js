@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, joinRoom, drawStroke } = require('./helpers');
+
+const API_KEY = 'test-api-key';
+const STROKE = JSON.stringify({ points: [{ x: 0, y: 0 }, { x: 5, y: 5 }], color: '#000000', width: 2, tool: 'brush' });
+
+let server;
+
+before(async () => {
+    server = await startServer({ API_KEY });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+// Send a request to the API and resolve with its status
+async function request(method, path, headers = {}, body) {
+    const response = await fetch(server.url + path, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body
+    });
+    return response.status;
+}
+
+test('REST changes without a session token or API key are refused', async () => {
+    assert.strictEqual(await request('POST', '/api/rooms/no-auth/strokes', {}, STROKE), 401);
+    assert.strictEqual(await request('POST', '/api/rooms/no-auth/strokes', { 'X-Api-Key': 'wrong' }, STROKE), 401);
+    
+    const client = await joinRoom(server, 'no-auth');
+    const strokeId = await drawStroke(client);
+    assert.strictEqual(await request('DELETE', `/api/rooms/no-auth/strokes/${strokeId}`), 401);
+    assert.strictEqual(await request('POST', '/api/rooms/no-auth/snapshots', {}, JSON.stringify({ name: 'Nope' })), 401);
+    client.socket.close();
+});
+
+test('REST changes are accepted with a session token or the API key', async () => {
+    const client = await joinRoom(server, 'with-auth');
+    assert.strictEqual(await request('POST', '/api/rooms/with-auth/strokes', { 'X-Session-Token': client.token }, STROKE), 201);
+    assert.strictEqual(await request('POST', '/api/rooms/with-auth/strokes', { 'X-Api-Key': API_KEY }, STROKE), 201);
+    
+    const strokeId = await drawStroke(client);
+    assert.strictEqual(await request('DELETE', `/api/rooms/with-auth/strokes/${strokeId}`, { 'X-Api-Key': API_KEY }), 204);
+    client.socket.close();
+});
+
+test('reading a board needs no credentials', async () => {
+    assert.strictEqual(await request('GET', '/api/rooms/with-auth/strokes'), 200);
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, joinRoom, ask, nextEvent, drawStroke } = require('./helpers');
+
+let server;
+const clients = [];
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    for (const client of clients) client.socket.close();
+    await server.stop();
+});
+
+// Each test gets its own room so earlier tests don't change its board
+async function join(roomId) {
+    const client = await joinRoom(server, roomId);
+    clients.push(client);
+    return client;
+}
+
+test('import_strokes acks the imported IDs', async () => {
+    const client = await join('import');
+    const response = await ask(client, 'import_strokes', {
+        strokes: [{ points: [{ x: 0, y: 0 }, { x: 5, y: 5 }], color: '#000000', width: 2, tool: 'brush' }],
+        layers: [],
+        layerId: client.init.layers[0].id
+    });
+    assert.strictEqual(response.count, 1);
+    assert.strictEqual(response.ids.length, 1);
+    assert.strictEqual(server.exited, false);
+});
+
+test('clear_canvas clears the board and acks', async () => {
+    const client = await join('clear');
+    await drawStroke(client);
+    const cleared = nextEvent(client, 'canvas_cleared');
+    assert.deepStrictEqual(await ask(client, 'clear_canvas', {}), {});
+    assert.strictEqual((await cleared).userId, client.userId);
+    assert.deepStrictEqual(await ask(client, 'clear_canvas', {}), { error: 'The board is already empty' });
+    assert.strictEqual(server.exited, false);
+});
+
+test('undo_clear brings the board back and acks', async () => {
+    const client = await join('undo-clear');
+    await drawStroke(client);
+    const cleared = nextEvent(client, 'canvas_cleared');
+    await ask(client, 'clear_canvas', {});
+    const { seq } = await cleared;
+    
+    const undone = nextEvent(client, 'clear_undone');
+    assert.deepStrictEqual(await ask(client, 'undo_clear', { seq }), {});
+    assert.strictEqual((await undone).ops.length, 1);
+    assert.deepStrictEqual(await ask(client, 'undo_clear', { seq }), { error: 'This clear can no longer be undone' });
+    assert.strictEqual(server.exited, false);
+});
+
+test('save_snapshot acks the new snapshot', async () => {
+    const client = await join('save-snapshot');
+    await drawStroke(client);
+    const response = await ask(client, 'save_snapshot', { name: 'First' });
+    assert.strictEqual(response.snapshot.name, 'First');
+    assert.strictEqual(server.exited, false);
+});
+
+test('restore_snapshot acks the restore sequence number', async () => {
+    const client = await join('restore-snapshot');
+    await drawStroke(client);
+    const { snapshot } = await ask(client, 'save_snapshot', { name: 'Before' });
+    await drawStroke(client, 20);
+    
+    const response = await ask(client, 'restore_snapshot', { snapshotId: snapshot.id });
+    assert.strictEqual(typeof response.seq, 'number');
+    assert.deepStrictEqual(await ask(client, 'restore_snapshot', { snapshotId: 'missing' }), { error: 'Snapshot not found' });
+    assert.strictEqual(server.exited, false);
+});
+
+test('fork_snapshot acks the new room', async () => {
+    const client = await join('fork-snapshot');
+    await drawStroke(client);
+    const { snapshot } = await ask(client, 'save_snapshot', { name: 'Fork me' });
+    
+    assert.deepStrictEqual(await ask(client, 'fork_snapshot', { snapshotId: snapshot.id, roomId: 'forked' }), { roomId: 'forked' });
+    assert.deepStrictEqual(await ask(client, 'fork_snapshot', { snapshotId: 'missing' }), { error: 'Snapshot not found' });
+    assert.strictEqual(server.exited, false);
+});
+
+test('delete_snapshot acks the deletion', async () => {
+    const client = await join('delete-snapshot');
+    await drawStroke(client);
+    const { snapshot } = await ask(client, 'save_snapshot', { name: 'Gone soon' });
+    
+    assert.deepStrictEqual(await ask(client, 'delete_snapshot', { snapshotId: snapshot.id }), {});
+    assert.deepStrictEqual(await ask(client, 'delete_snapshot', { snapshotId: snapshot.id }), { error: 'Snapshot not found' });
+    assert.strictEqual(server.exited, false);
+});
+
+test('update_stroke and delete_strokes ack changes and list refused elements', async () => {
+    const owner = await join('edit-acks');
+    const editor = await join('edit-acks');
+    const strokeId = await drawStroke(owner);
+    const layerId = owner.init.layers[0].id;
+    
+    assert.deepStrictEqual(await ask(editor, 'update_stroke', { updates: [{ strokeId, changes: { color: '#ff0000' } }] }), {});
+    
+    const locked = nextEvent(editor, 'layers_updated');
+    owner.socket.emit('update_layer', { layerId, changes: { locked: true } });
+    await locked;
+    assert.deepStrictEqual(await ask(editor, 'update_stroke', { updates: [{ strokeId, changes: { color: '#00ff00' } }] }), {
+        error: 'Some elements are on a locked layer and were not changed',
+        rejected: [strokeId]
+    });
+    assert.deepStrictEqual(await ask(editor, 'delete_strokes', { strokeIds: [strokeId] }), {
+        error: 'Some elements are on a locked layer and were not changed',
+        rejected: [strokeId]
+    });
+    
+    const unlocked = nextEvent(editor, 'layers_updated');
+    owner.socket.emit('update_layer', { layerId, changes: { locked: false } });
+    await unlocked;
+    assert.deepStrictEqual(await ask(owner, 'mute_user', { userId: editor.userId, muted: true }), {});
+    const muted = await ask(editor, 'delete_strokes', { strokeIds: [strokeId] });
+    assert.deepStrictEqual(muted.rejected, [strokeId]);
+    assert.strictEqual(typeof muted.error, 'string');
+    
+    assert.deepStrictEqual(await ask(owner, 'delete_strokes', { strokeIds: [strokeId] }), {});
+    assert.strictEqual(server.exited, false);
+});